@@ -30,7 +30,8 @@ export default [
         module: "readonly",
         exports: "readonly",
         global: "readonly",
-        URL: "readonly"
+        URL: "readonly",
+        AbortController: "readonly"
       }
     },
     rules: {
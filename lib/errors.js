@@ -0,0 +1,117 @@
+/**
+ @module Errors
+
+ This module contains the errors the Rally REST API client rejects with.
+ Every error extends RallyError and keeps the errors array of messages for backward compatibility.
+ */
+import _ from 'lodash';
+
+/**
+ The base class of all client errors
+ @constructor
+ @param {string|string[]} errors - the error messages, the first one becoming the message
+ @param {object} details (optional)
+ - @member {int} status - the http status of the response
+ - @member {string} method - the http method of the request
+ - @member {string} url - the url of the request
+ - @member {string[]} Errors - the WSAPI Errors of the response
+ - @member {string[]} Warnings - the WSAPI Warnings of the response
+ - @member {object|string} body - the raw response body
+ */
+export class RallyError extends Error {
+  constructor(errors, details) {
+    errors = _.castArray(errors);
+    super(errors[0]);
+    this.name = new.target.name;
+    this.errors = errors;
+    Object.assign(this, {Errors: [], Warnings: []}, details);
+  }
+}
+
+// 401, or an invalid security token
+export class AuthenticationError extends RallyError {}
+
+// 403, or not authorized to perform the action
+export class AuthorizationError extends RallyError {}
+
+// 404, or the object could not be found
+export class NotFoundError extends RallyError {}
+
+// 400/422, or WSAPI rejected the request
+export class ValidationError extends RallyError {}
+
+// 409, or the object was modified by another request
+export class ConcurrencyConflictError extends RallyError {}
+
+// 429, retryAfter carries the delay in ms requested by the server
+export class RateLimitError extends RallyError {}
+
+// 5xx
+export class ServerError extends RallyError {}
+
+// no response was received, code carries the network error code
+export class NetworkError extends RallyError {}
+
+// cancelled through an AbortSignal
+export class AbortError extends RallyError {
+  constructor(errors, details) {
+    super(errors, details);
+    this.code = 'ABORT_ERR';
+    this.aborted = true;
+  }
+}
+
+// the request did not complete within its timeout, timeout carries the limit in ms
+export class TimeoutError extends RallyError {
+  constructor(errors, details) {
+    super(errors, details);
+    this.code = 'ETIMEDOUT';
+  }
+}
+
+// a query string which cannot be parsed, position carries the 0 based index of the offending character
+export class QuerySyntaxError extends RallyError {}
+
+const STATUS_ERRORS = {
+  400: ValidationError,
+  401: AuthenticationError,
+  403: AuthorizationError,
+  404: NotFoundError,
+  409: ConcurrencyConflictError,
+  422: ValidationError,
+  429: RateLimitError
+};
+
+/**
+ The error class matching an http error status
+ @param {int} status
+ @return {function}
+ */
+export function errorClassForStatus(status) {
+  if (STATUS_ERRORS[status]) {
+    return STATUS_ERRORS[status];
+  }
+  return status >= 500 ? ServerError : RallyError;
+}
+
+/**
+ The error class matching WSAPI Errors returned with a successful http status
+ @param {string[]} messages
+ @return {function}
+ */
+export function errorClassForMessages(messages) {
+  const text = messages.join('\n');
+  if (/concurrency conflict/i.test(text)) {
+    return ConcurrencyConflictError;
+  }
+  if (/invalid key|not authenticated/i.test(text)) {
+    return AuthenticationError;
+  }
+  if (/not authorized/i.test(text)) {
+    return AuthorizationError;
+  }
+  if (/cannot find|could not find|not found/i.test(text)) {
+    return NotFoundError;
+  }
+  return ValidationError;
+}
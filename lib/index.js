@@ -1,15 +1,53 @@
+import {
+  AbortError,
+  AuthenticationError,
+  AuthorizationError,
+  ConcurrencyConflictError,
+  NetworkError,
+  NotFoundError,
+  QuerySyntaxError,
+  RallyError,
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  ValidationError
+} from './errors.js';
 import RestApi from './restapi.js';
-import { where } from './util/query.js';
+import { settings as logSettings } from './util/logger.js';
+import { all, any, currentIteration, currentRelease, fromJSON, not, parse, today, where } from './util/query.js';
 import ref from './util/ref.js';
+import type from './util/type.js';
 
 const createClient = options => new RestApi(options);
 
 const restapi = createClient;
 restapi.createClient = createClient;
-restapi.debug = process.env.NODE_DEBUG && /rally/.test(process.env.NODE_DEBUG),
+// Enabled by NODE_DEBUG=rally; when set, clients without a logLevel log at debug level
+Object.defineProperty(restapi, 'debug', {
+  enumerable: true,
+  get: () => logSettings.debug,
+  set: (value) => {
+    logSettings.debug = Boolean(value);
+  }
+});
 restapi.util = {
-  query: { where },
-  ref
+  query: { where, parse, fromJSON, not, all, any, today, currentIteration, currentRelease },
+  ref,
+  type
+};
+restapi.errors = {
+  RallyError,
+  AuthenticationError,
+  AuthorizationError,
+  NotFoundError,
+  ValidationError,
+  ConcurrencyConflictError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  AbortError,
+  TimeoutError,
+  QuerySyntaxError
 };
 
 export default restapi;
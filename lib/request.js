@@ -1,48 +1,155 @@
 import axios from 'axios';
 import _ from 'lodash';
+import { createAbortError, isAborted } from './util/abort.js';
 import callbackify from './util/callbackify.js';
+import CookieJar from './util/cookieJar.js';
+import Limiter from './util/limiter.js';
+import createLogger from './util/logger.js';
+import {
+  NetworkError,
+  RallyError,
+  TimeoutError,
+  errorClassForMessages,
+  errorClassForStatus
+} from './errors.js';
+import { translateRequestOptions } from './util/requestOptions.js';
+import { AGENT_OPTIONS, createTransport } from './util/transport.js';
+import {
+  computeDelay,
+  isRetryable,
+  normalizeRetryOptions,
+  parseRetryAfter,
+  resolveRetryPolicy,
+  wait
+} from './util/retry.js';
+
+const getWsapiResult = body => (_.isObject(body) ? _.values(body)[0] : undefined);
+
+const getPage = (qs) => {
+  const start = qs && parseInt(qs.start, 10);
+  const pageSize = qs && parseInt(qs.pagesize, 10);
+  return (start > 0 && pageSize > 0) ? Math.floor((start - 1) / pageSize) + 1 : undefined;
+};
+
+// axios rejects with ECONNABORTED, or ETIMEDOUT when clarifyTimeoutError is set, once the timeout elapses
+const isTimeout = error => _.includes(['ECONNABORTED', 'ETIMEDOUT'], error.code) && /timeout/i.test(error.message);
+
+// request options building the http agents, which createTransport does once per client
+const CLIENT_ONLY_OPTIONS = ['agentOptions', 'strictSSL', 'forever'];
+
+const isInvalidTokenError = error => _.some(error.errors, message => /invalid key/i.test(message));
+
+const createCookieJar = (cookieJar, warn) => {
+  if (!cookieJar) {
+    return null;
+  }
+  if (cookieJar instanceof CookieJar) {
+    return cookieJar;
+  }
+  if (_.isString(cookieJar)) {
+    return new CookieJar({file: cookieJar, warn});
+  }
+  return new CookieJar(_.assign({warn}, _.isObject(cookieJar) ? cookieJar : {}));
+};
 
-const generateError = (errorMessages) => {
-  const e = new Error(errorMessages[0]);
-  e.errors = errorMessages;
-  return e;
-}
 export default class Request {
   constructor(options) {
     this.wsapiUrl = `${options.server}/slm/webservice/${options.apiVersion}`;
+    this.logger = createLogger(options);
+    this._warnUnsupported = _.memoize((name) => {
+      this.logger.warn(`the "${name}" request option is not supported and will be ignored`, {option: name});
+    });
+    this._warnClientOnly = _.memoize((name) => {
+      this.logger.warn(`the "${name}" request option is only supported when creating the client and will be ignored`, {option: name});
+    });
+
+    // Translate legacy request library options, keeping the default query string
+    // aside since axios replaces rather than merges per-request params
+    const requestOptions = translateRequestOptions(options.requestOptions, this._warnUnsupported);
+    this._defaultParams = requestOptions.params;
+    delete requestOptions.params;
+
+    // Proxy and TLS options given to createClient take precedence over the legacy request options
+    const legacyOptions = options.requestOptions || {};
+    const transport = createTransport(this.wsapiUrl, {
+      proxy: options.proxy !== undefined ? options.proxy : legacyOptions.proxy,
+      agentOptions: _.assign(
+        {},
+        legacyOptions.agentOptions,
+        legacyOptions.forever ? {keepAlive: true} : {},
+        legacyOptions.strictSSL === false ? {rejectUnauthorized: false} : {},
+        _.pick(options, AGENT_OPTIONS)
+      )
+    });
 
     // Create axios instance with default configuration
     const axiosConfig = {
       baseURL: this.wsapiUrl,
       timeout: 30000,
-      withCredentials: true,
-      ...options.requestOptions
+      ...requestOptions,
+      ...transport
     };
 
     this.httpRequest = axios.create(axiosConfig);
+    this._timeout = axiosConfig.timeout;
     this._hasKey = options.requestOptions &&
         options.requestOptions.headers &&
         options.requestOptions.headers.zsessionid;
 
-    // Store cookies for session management
-    this._cookies = {};
+    // Username/password sessions rely on cookies (JSESSIONID, ZSESSIONID) for session affinity
+    const jar = options.requestOptions && options.requestOptions.jar;
+    const sessionCookies = _.isBoolean(jar) ? jar : !this._hasKey;
+    this._jar = createCookieJar(options.cookieJar === undefined ? sessionCookies : options.cookieJar, this.logger.warn);
+
+    this.retry = normalizeRetryOptions(options.retry);
+
+    // Reads and writes are queued against separate budgets
+    const rateLimit = options.rateLimit || {};
+    const sharedLimits = _.pick(rateLimit, ['maxConcurrent', 'maxPerInterval', 'interval']);
+    this._limiters = {
+      read: new Limiter(_.assign({}, sharedLimits, rateLimit.read)),
+      write: new Limiter(_.assign({}, sharedLimits, rateLimit.write))
+    };
   }
 
-  getCookies() {
-    // Simple cookie management for compatibility
-    return Object.keys(this._cookies).map(name => ({
-      name,
-      value: this._cookies[name],
-      domain: new URL(this.wsapiUrl).hostname
+  getQueueStats() {
+    return _.mapValues(this._limiters, limiter => ({
+      queued: limiter.queued,
+      running: limiter.running
     }));
   }
 
+  getCookies() {
+    return this._jar ? this._jar.getCookies() : [];
+  }
+
+  resolveUrl(url) {
+    return /^https?:\/\//i.test(url) ? url : `${this.wsapiUrl}${url}`;
+  }
+
+  storeCookies(url, headers) {
+    if (this._jar && headers && headers['set-cookie']) {
+      this._jar.setCookies(headers['set-cookie'], this.resolveUrl(url));
+    }
+  }
+
   auth() {
-    return this.doRequest('get', {
-      url: '/security/authorize'
-    }).then((result) => {
-      this._token = result.SecurityToken;
-    });
+    // Concurrent callers share a single in-flight authorize request
+    if (!this._authPromise) {
+      this._authPromise = this.doRequest('get', {
+        url: '/security/authorize'
+      }).then((result) => {
+        this._token = result.SecurityToken;
+        return this._token;
+      }).finally(() => {
+        this._authPromise = null;
+      });
+    }
+    return this._authPromise;
+  }
+
+  invalidateToken() {
+    this._token = null;
   }
 
   doSecuredRequest(method, options, callback) {
@@ -50,85 +157,184 @@ export default class Request {
       return this.doRequest(method, options, callback);
     }
 
-    const doRequest = () => {
+    const getToken = () => (this._token ? Promise.resolve(this._token) : this.auth());
+
+    const doRequest = (token) => {
       const requestOptions = _.merge(
         {},
         options,
         {
           qs: {
-            key: this._token
+            key: token
           }
         }
       );
       return this.doRequest(method, requestOptions);
     };
 
-    let securedRequestPromise;
-    if (this._token) {
-      securedRequestPromise = doRequest();
-    } else {
-      securedRequestPromise = this.auth().then(doRequest);
-    }
+    const securedRequestPromise = getToken().then((token) => {
+      return doRequest(token).catch((error) => {
+        if (!isInvalidTokenError(error)) {
+          throw error;
+        }
+        // The token expired or the session rotated: re-authorize and replay once.
+        // Only invalidate if no concurrent caller has already replaced the token.
+        if (this._token === token) {
+          this.invalidateToken();
+        }
+        return getToken().then(doRequest);
+      });
+    });
     callbackify(securedRequestPromise, callback);
     return securedRequestPromise;
   }
 
   doRequest(method, options, callback) {
-    const doRequestPromise = new Promise((resolve, reject) => {
+    const policy = resolveRetryPolicy(this.retry, method, options.retry);
+
+    const attempt = (attemptNumber) => {
+      if (isAborted(options.signal)) {
+        return Promise.reject(createAbortError(options.signal));
+      }
+      const limiter = method === 'get' ? this._limiters.read : this._limiters.write;
+      return limiter.schedule(() => this.sendRequest(method, options), options.signal).catch((error) => {
+        // Running out of a timeout given for this call is not retried, the caller chose that limit
+        const callTimedOut = error instanceof TimeoutError && Boolean(options.timeout);
+        if (attemptNumber < policy.maxAttempts && !callTimedOut && isRetryable(policy, method, error)) {
+          const delay = computeDelay(policy, attemptNumber, error.retryAfter);
+          this.logger.info('retrying request', {
+            method: method.toUpperCase(),
+            url: error.url,
+            attempt: attemptNumber,
+            delay,
+            status: error.status,
+            code: error.code
+          });
+          return wait(delay, options.signal)
+            .then(() => attempt(attemptNumber + 1));
+        }
+        error.attempts = attemptNumber;
+        throw error;
+      });
+    };
+
+    const doRequestPromise = attempt(1);
+    callbackify(doRequestPromise, callback);
+    return doRequestPromise;
+  }
+
+  sendRequest(method, options) {
+    const started = Date.now();
+    const qs = _.assign({}, this._defaultParams, options.qs);
+    const logFields = _.omitBy({
+      method: method.toUpperCase(),
+      url: options.url && this.resolveUrl(options.url),
+      qs,
+      headers: options.headers,
+      page: getPage(qs)
+    }, _.isUndefined);
+    this.logger.debug('request', logFields);
+
+    return new Promise((resolve, reject) => {
+      // The agents are shared by all the requests of this client
+      _.each(CLIENT_ONLY_OPTIONS, (name) => {
+        if (!_.isUndefined(options[name])) {
+          this._warnClientOnly(name);
+        }
+      });
+
       const axiosOptions = {
         method: method.toUpperCase(),
-        url: options.url,
-        ...options
+        ...translateRequestOptions(_.omit(options, ['retry']), this._warnUnsupported)
       };
 
-      // Handle query parameters
-      if (options.qs) {
-        axiosOptions.params = options.qs;
+      // Merge the default query string with the one of this request
+      if (this._defaultParams) {
+        axiosOptions.params = _.assign({}, this._defaultParams, axiosOptions.params);
       }
 
-      // Handle JSON body
-      if (options.json && typeof options.json === 'object') {
-        axiosOptions.data = options.json;
+      // Replay the session cookies for this url
+      const cookieHeader = this._jar && options.url && this._jar.getCookieHeader(this.resolveUrl(options.url));
+      if (cookieHeader && !(axiosOptions.headers && axiosOptions.headers.Cookie)) {
         axiosOptions.headers = {
-          'Content-Type': 'application/json',
-          ...axiosOptions.headers
+          ...axiosOptions.headers,
+          Cookie: cookieHeader
         };
       }
 
-      // Remove axios-incompatible options
-      delete axiosOptions.qs;
-      delete axiosOptions.json;
+      const details = {
+        method: axiosOptions.method,
+        url: options.url && this.resolveUrl(options.url)
+      };
 
       this.httpRequest(axiosOptions)
         .then(response => {
+          this.storeCookies(options.url, response.headers);
           const body = response.data;
+          details.status = response.status;
+          details.body = body;
           if (!body || !_.isObject(body)) {
-            reject(generateError([`${options.url}: ${response.status}! body=${body}`]));
+            const ErrorClass = errorClassForStatus(response.status);
+            reject(new ErrorClass([`${options.url}: ${response.status}! body=${body}`], details));
           } else {
-            const result = _.values(body)[0];
+            const result = getWsapiResult(body);
             if (result && result.Errors && result.Errors.length) {
-              reject(generateError(result.Errors));
+              const ErrorClass = errorClassForMessages(result.Errors);
+              reject(new ErrorClass(result.Errors, _.assign(details, {
+                Errors: result.Errors,
+                Warnings: result.Warnings || []
+              })));
             } else {
               resolve(result);
             }
           }
         })
         .catch(error => {
-          if (error.response) {
+          if (axios.isCancel(error) || isAborted(options.signal)) {
+            // Cancelled through the AbortSignal of this request
+            reject(createAbortError(options.signal));
+          } else if (error.response) {
             // Server responded with error status
-            reject(generateError([`${options.url}: ${error.response.status}! ${error.response.statusText}`]));
+            const headers = error.response.headers || {};
+            const result = getWsapiResult(error.response.data);
+            this.storeCookies(options.url, headers);
+            const ErrorClass = errorClassForStatus(error.response.status);
+            reject(new ErrorClass([`${options.url}: ${error.response.status}! ${error.response.statusText}`], _.assign(details, {
+              status: error.response.status,
+              body: error.response.data,
+              Errors: (result && result.Errors) || [],
+              Warnings: (result && result.Warnings) || [],
+              retryAfter: parseRetryAfter(headers['retry-after'])
+            })));
+          } else if (isTimeout(error)) {
+            // The timeout of this request, or else of the client, elapsed
+            const timeout = axiosOptions.timeout || this._timeout;
+            reject(new TimeoutError([`${options.url}: timeout of ${timeout}ms exceeded`], _.assign(details, {timeout})));
           } else if (error.request) {
             // Network error
-            reject(generateError([`Unable to connect to server: ${this.wsapiUrl}`]));
+            reject(new NetworkError([`Unable to connect to server: ${this.wsapiUrl}`], _.assign(details, {code: error.code})));
           } else {
             // Other error
-            reject(generateError([error.message]));
+            reject(new RallyError([error.message], _.assign(details, {code: error.code})));
           }
         });
+    }).then((result) => {
+      this.logger.debug('response', _.assign({}, logFields, _.omitBy({
+        duration: Date.now() - started,
+        resultCount: result && result.Results && result.Results.length,
+        totalResultCount: result && result.TotalResultCount
+      }, _.isUndefined)));
+      return result;
+    }, (error) => {
+      this.logger.debug('request failed', _.assign({}, logFields, _.omitBy({
+        duration: Date.now() - started,
+        error: error.name,
+        status: error.status,
+        code: error.code,
+        errors: error.errors
+      }, _.isUndefined)));
+      throw error;
     });
-
-    callbackify(doRequestPromise, callback);
-    return doRequestPromise;
   }
 
   get(options, callback) {
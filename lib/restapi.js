@@ -5,13 +5,25 @@
  in the Rally REST API.
  */
 import _ from 'lodash';
+import { Readable } from 'stream';
+import { ValidationError } from './errors.js';
 import Request from './request.js';
+import { throwIfAborted } from './util/abort.js';
 import callbackify from './util/callbackify.js';
+import Limiter from './util/limiter.js';
+import runMiddleware from './util/middleware.js';
 import refUtils from './util/ref.js';
+import createProjection from './util/select.js';
+import typeUtils from './util/type.js';
 import pkgInfo from '../package.json' with { type: 'json' };
 
 const defaultServer = 'https://rally1.rallydev.com';
 const defaultApiVersion = 'v2.0';
+const defaultParallelPages = 4;
+const maxConsistencyRereads = 2;
+const defaultExpandConcurrency = 4;
+// Expanded collections without a fetch of their own return all the fields of their objects
+const defaultExpandFetch = 'true';
 
 function optionsToRequestOptions(options) {
   const qs = {};
@@ -34,20 +46,331 @@ function optionsToRequestOptions(options) {
     qs.fetch = options.fetch;
   }
 
-  return {
+  const requestOptions = {
     qs: qs
   };
+  if (options.signal) {
+    requestOptions.signal = options.signal;
+  }
+  if (options.timeout) {
+    requestOptions.timeout = options.timeout;
+  }
+  return requestOptions;
+}
+
+function queryOptions(options) {
+  // A cursor carries everything needed to resume the query it was taken from
+  return _.merge({
+    start: 1,
+    pageSize: 200
+  }, _.omit(options, ['cursor']), options.cursor);
+}
+
+function queryToRequestOptions(options) {
+  // Performance optimization: Calculate optimal page size for better network efficiency
+  let optimalPageSize = Math.max(1, options.pageSize); // Ensure minimum pageSize of 1
+  if (options.limit !== undefined && options.limit > 0) {
+    // Use smaller page size for small limits to reduce over-fetching
+    optimalPageSize = Math.min(optimalPageSize, options.limit);
+  }
+
+  // Queries for several types go to the artifact endpoint unless another type, e.g. schedulableartifact, is given
+  const type = options.type || (options.types ? 'artifact' : undefined);
+  const requestOptions = _.merge({
+    url: refUtils.getRelative(options.ref) || `/${type}`,
+    qs: {
+      start: options.start,
+      pagesize: optimalPageSize
+    }
+  }, options.requestOptions, optionsToRequestOptions(options));
+  if (_.isArray(options.order)) {
+    requestOptions.qs.order = options.order.join(',');
+  } else if (_.isString(options.order)) {
+    requestOptions.qs.order = options.order;
+  }
+  if (_.isArray(options.types)) {
+    requestOptions.qs.types = options.types.join(',');
+  } else if (_.isString(options.types)) {
+    requestOptions.qs.types = options.types;
+  }
+  if (options.query) {
+    requestOptions.qs.query = (options.query.toQueryString &&
+        options.query.toQueryString()) || options.query;
+  }
+  return requestOptions;
+}
+
+function hasMorePages(result, options, totalFetched) {
+  // Validate pagination parameters to prevent infinite loops
+  const isValidPagination =
+    result.StartIndex &&
+    typeof result.StartIndex === 'number' &&
+    options.pageSize &&
+    options.pageSize > 0 &&
+    result.TotalResultCount &&
+    typeof result.TotalResultCount === 'number';
+
+  // Enhanced termination condition with early exit for limits
+  const hasMoreData = result.StartIndex + options.pageSize <= result.TotalResultCount;
+  const withinLimit = options.limit === undefined || totalFetched < options.limit;
+
+  return Boolean(isValidPagination && hasMoreData && withinLimit);
+}
+
+function pageRequestOptions(requestOptions, start) {
+  // Performance optimization: Reuse base request options object
+  return _.assign(_.pick(requestOptions, ['signal', 'timeout']), {
+    url: requestOptions.url,
+    qs: Object.assign({}, requestOptions.qs, {
+      start
+    })
+  });
+}
+
+// The objects of a page, tagged with their type for polymorphic queries and transformed by select and map
+function pageResultsOf(result, options, project) {
+  if (options.types) {
+    typeUtils.tagTypes(result.Results);
+  }
+  return project && result.Results ? result.Results.map(project) : result.Results;
+}
+
+function queryCursor(requestOptions, result, options, totalProcessed) {
+  if (!hasMorePages(result, options, totalProcessed)) {
+    return null;
+  }
+  const scope = options.scope && _.mapValues(options.scope, (value, key) =>
+    (key === 'project' || key === 'workspace' ? refUtils.getRelative(value) : value));
+  return _.omitBy({
+    ref: refUtils.getRelative(options.ref) || undefined,
+    type: options.ref ? undefined : options.type,
+    types: requestOptions.qs.types,
+    query: requestOptions.qs.query,
+    order: requestOptions.qs.order,
+    fetch: requestOptions.qs.fetch,
+    scope,
+    pageSize: options.pageSize,
+    start: result.StartIndex + options.pageSize,
+    limit: options.limit === undefined ? undefined : options.limit - totalProcessed
+  }, _.isUndefined);
+}
+
+function nextPageRequestOptions(requestOptions, result, options) {
+  // Stop paging as soon as the caller aborts
+  throwIfAborted(options.signal);
+
+  return pageRequestOptions(requestOptions, result.StartIndex + options.pageSize);
+}
+
+function remainingPageStarts(result, options) {
+  const lastIndex = options.limit === undefined ?
+    result.TotalResultCount :
+    Math.min(result.TotalResultCount, options.start + options.limit - 1);
+  const starts = [];
+  for (let start = result.StartIndex + options.pageSize; start <= lastIndex; start += options.pageSize) {
+    starts.push(start);
+  }
+  return starts;
+}
+
+// Returns a function resolving the page following a result, or null after the last page.
+// With parallelPages, the first page's TotalResultCount gives the start of every remaining page,
+// which are then requested with bounded concurrency and still returned in order.
+function createPageFetcher(requestOptions, options) {
+  if (!options.parallelPages) {
+    return (result, totalFetched) => {
+      if (!hasMorePages(result, options, totalFetched)) {
+        return Promise.resolve(null);
+      }
+      return send.call(this, 'get', nextPageRequestOptions(requestOptions, result, options));
+    };
+  }
+
+  const concurrency = options.parallelPages === true ? defaultParallelPages : options.parallelPages;
+  const pending = [];
+  let starts = null;
+
+  return (result, totalFetched) => {
+    if (!starts) {
+      starts = hasMorePages(result, options, totalFetched) ? remainingPageStarts(result, options) : [];
+    }
+    if (!starts.length && !pending.length) {
+      return Promise.resolve(null);
+    }
+    // Stop paging as soon as the caller aborts
+    throwIfAborted(options.signal);
+
+    while (starts.length && pending.length < concurrency) {
+      const page = send.call(this, 'get', pageRequestOptions(requestOptions, starts.shift()));
+      // Pages after a failed one are abandoned, their rejections must not go unhandled
+      page.catch(_.noop);
+      pending.push(page);
+    }
+    return pending.shift();
+  };
+}
+
+// Collects the de-duplicated Errors and Warnings of every page of a query,
+// reporting each new warning to the onWarning hook of the client
+function createMessageCollector(requestOptions) {
+  const messages = {Errors: [], Warnings: []};
+  const add = (result) => {
+    messages.Errors.push(..._.difference(_.uniq((result && result.Errors) || []), messages.Errors));
+    const warnings = _.difference(_.uniq((result && result.Warnings) || []), messages.Warnings);
+    messages.Warnings.push(...warnings);
+    if (this.onWarning) {
+      warnings.forEach(warning => this.onWarning(warning, {url: requestOptions.url}));
+    }
+  };
+  return {messages, add};
+}
+
+// Pages through a query keeping each object once, by ObjectID (or _ref when not fetched),
+// and tracking changes of TotalResultCount between pages, which shift the start index of later pages.
+// In reread mode the query starts over from its first page when a change is detected.
+async function consistentQuery(options) {
+  const reread = options.consistency === 'reread';
+  const pageOptions = _.omit(options, ['consistency', 'select', 'map']);
+  let rereads = 0;
+
+  for (;;) {
+    const seen = new Set();
+    const results = [];
+    const messages = {Errors: [], Warnings: []};
+    const totalResultCountChanges = [];
+    let duplicates = 0;
+    let totalResultCount;
+
+    for await (const page of this.iteratePages(pageOptions)) {
+      if (totalResultCount !== undefined && page.totalResultCount !== totalResultCount) {
+        totalResultCountChanges.push({
+          startIndex: page.startIndex,
+          previous: totalResultCount,
+          current: page.totalResultCount
+        });
+      }
+      totalResultCount = page.totalResultCount;
+      if (reread && totalResultCountChanges.length && rereads < maxConsistencyRereads) {
+        break;
+      }
+
+      messages.Warnings = _.union(messages.Warnings, page.warnings);
+      page.results.forEach((item) => {
+        const key = item && (item.ObjectID || item._ref);
+        if (key) {
+          if (seen.has(key)) {
+            duplicates++;
+            return;
+          }
+          seen.add(key);
+        }
+        results.push(item);
+      });
+    }
+
+    if (reread && totalResultCountChanges.length && rereads < maxConsistencyRereads) {
+      rereads++;
+      continue;
+    }
+
+    return _.assign(messages, {
+      Results: results,
+      StartIndex: options.start,
+      PageSize: results.length,
+      TotalResultCount: totalResultCount === undefined ? 0 : totalResultCount,
+      Consistency: {
+        consistent: !duplicates && !totalResultCountChanges.length,
+        duplicates,
+        totalResultCountChanges,
+        rereads
+      }
+    });
+  }
+}
+
+// Replaces the collection stubs ({_ref, Count}) named by options.expand with the fully fetched child arrays,
+// querying the collection refs with bounded concurrency
+function expandCollections(objects, options) {
+  if (!options.expand) {
+    return Promise.resolve(objects);
+  }
+  const expand = _.isPlainObject(options.expand) ?
+    options.expand :
+    _.fromPairs(_.castArray(options.expand).map(collection => [collection, true]));
+  const limiter = new Limiter({maxConcurrent: options.expandConcurrency || defaultExpandConcurrency});
+
+  const expansions = [];
+  _.each(_.compact(objects), (object) => {
+    _.each(expand, (expandOptions, collection) => {
+      const stub = object[collection];
+      if (!stub || !stub._ref) {
+        return;
+      }
+      if (stub.Count === 0) {
+        object[collection] = [];
+        return;
+      }
+      const queryOptions = _.assign(
+        {fetch: defaultExpandFetch},
+        _.pick(options, ['signal', 'timeout']),
+        _.isPlainObject(expandOptions) ? expandOptions : {},
+        _.isArray(expandOptions) || _.isString(expandOptions) ? {fetch: expandOptions} : {},
+        {ref: stub._ref}
+      );
+      expansions.push(limiter.schedule(() => this.query(queryOptions), options.signal).then((result) => {
+        object[collection] = result.Results;
+      }));
+    });
+  });
+  return Promise.all(expansions).then(() => objects);
+}
+
+// Applies the expand, then the select and map options to the complete results of a get or query
+function transformResults(objects, options) {
+  const project = createProjection(options);
+  return expandCollections.call(this, objects, options).then(() => (project ? objects.map(project) : objects));
+}
+
+function send(method, options, callback) {
+  const requestMethod = method === 'delete' ? 'del' : method;
+  if (!this.middleware.length) {
+    return this.request[requestMethod](options, callback);
+  }
+
+  const context = {
+    method,
+    url: options.url,
+    qs: options.qs,
+    body: options.json,
+    options: _.omit(options, ['url', 'qs', 'json'])
+  };
+  const sendPromise = runMiddleware(this.middleware, context, () => {
+    const requestOptions = _.assign({}, context.options, {
+      url: context.url,
+      qs: context.qs
+    });
+    if (context.body !== undefined) {
+      requestOptions.json = context.body;
+    }
+    return this.request[requestMethod](requestOptions).then((result) => {
+      context.result = result;
+      return result;
+    });
+  });
+
+  callbackify(sendPromise, callback);
+  return sendPromise;
 }
 
 function collectionPost(options, operation, callback) {
   const relativeRef = refUtils.getRelative(options.ref);
   if (!relativeRef) {
-    const error = new Error(`Invalid ref: ${options.ref}`);
-    error.errors = [`Invalid ref: ${options.ref}`];
-    return Promise.reject(error);
+    return Promise.reject(new ValidationError([`Invalid ref: ${options.ref}`]));
   }
 
-  return this.request.post(
+  return send.call(
+    this,
+    'post',
     _.merge(
       {
         url: `${relativeRef}/${options.collection}/${operation}`,
@@ -69,7 +392,34 @@ function collectionPost(options, operation, callback) {
  - @member {string} userName||user - the username to use for requests (default: RALLY_USERNAME env variable) (@deprecated in favor of apiKey)
  - @member {string} password||pass - the password to use for requests (default: RALLY_PASSWORD env variable) (@deprecated in favor of apiKey)
  - @member {string} apiKey - the api key to use for requests (default: RALLY_API_KEY env variable)
- - @member {object} requestOptions - default options for the request: https://github.com/mikeal/request
+ - @member {object} requestOptions - default options for the request: https://axios-http.com/docs/req_config
+   The legacy request library options auth, proxy, gzip, json, qs, timeout, agentOptions, strictSSL, forever and jar are translated to axios options
+ - @member {string|object|boolean} proxy - a proxy url or axios proxy object, false to ignore the HTTPS_PROXY, HTTP_PROXY, ALL_PROXY and NO_PROXY environment variables (default: from the environment)
+ - @member {string|Buffer|Array} ca - certificate authorities to trust, in PEM format (default: the Node.js root certificates and NODE_EXTRA_CA_CERTS)
+ - @member {string|Buffer} cert - the client certificate chain for mTLS, in PEM format
+ - @member {string|Buffer} key - the private key of the client certificate, in PEM format
+ - @member {string} passphrase - the passphrase of the private key
+ - @member {boolean} rejectUnauthorized - false to accept server certificates which cannot be verified (default: true)
+ - @member {boolean} keepAlive - reuse connections between requests
+ - @member {int} maxSockets - the maximum number of sockets per host
+ - @member {boolean|string|object} cookieJar - capture and replay session cookies: false to disable, a file path to persist them, or {file} (default: enabled in memory unless an apiKey is used)
+ - @member {object} rateLimit - limits applied to all requests, queuing the ones over budget (default: unlimited)
+ - @member {int} rateLimit.maxConcurrent - the maximum number of requests in flight
+ - @member {int} rateLimit.maxPerInterval - the maximum number of requests started per interval
+ - @member {int} rateLimit.interval - the length in ms of the interval (default: 1000)
+ - @member {object} rateLimit.read - overrides for the budget of GET requests
+ - @member {object} rateLimit.write - overrides for the budget of create, update, delete, add and remove requests
+ - @member {object|boolean} logger - receives log entries through its debug, info, warn and error methods, e.g. a pino or winston logger, or false to disable logging (default: console)
+ - @member {string} logLevel - the minimum level to log: debug, info, warn, error or silent (default: debug when restapi.debug, i.e. NODE_DEBUG=rally, otherwise warn)
+ - @member {function} onWarning - called with each distinct WSAPI warning returned while paging through query, queryStream and queryBatch results: (warning, {url}) => void
+ - @member {boolean|object} retry - the retry policy for transient failures, false to disable (default: 3 attempts for GET requests)
+ - @member {int} retry.maxAttempts - total number of attempts, including the first one (default: 3)
+ - @member {int} retry.baseDelay - delay in ms before the first retry, doubled on each subsequent retry (default: 500)
+ - @member {int} retry.maxDelay - upper bound in ms for any delay, including one requested by Retry-After (default: 30000)
+ - @member {boolean} retry.jitter - randomize delays (default: true)
+ - @member {string[]} retry.methods - http methods to retry without a per-call opt in (default: ['get'])
+ - @member {int[]} retry.statusCodes - http statuses to retry (default: [408, 429, 502, 503, 504])
+ - @member {string[]} retry.errorCodes - network error codes to retry (default: ECONNRESET, ECONNREFUSED, ECONNABORTED, ETIMEDOUT, EPIPE, EAI_AGAIN)
  */
 export default class RestApi {
   constructor(options) {
@@ -113,6 +463,31 @@ export default class RestApi {
     // Allow dependency injection of the Request class for testing
     const RequestClass = (options && options.RequestClass) || Request;
     this.request = new RequestClass(options);
+    this.middleware = [];
+    this.onWarning = options.onWarning;
+  }
+
+  /**
+   Register a middleware to run around every WSAPI request, including each page fetched by query, queryStream and queryBatch.
+   Middleware run in registration order.
+   @param {function} middleware - (context, next) => result|Promise<result>
+   - @param {object} context - the request context, which may be modified before calling next
+   - @member {string} context.method - the http method: get, post, put or delete
+   - @member {string} context.url - the url of the request, relative to the WSAPI base url
+   - @member {object} context.qs - the query string
+   - @member {object} context.body - the JSON body of create, update, add and remove requests
+   - @member {object} context.options - the other request options, e.g. headers, signal or timeout
+   - @member {object} context.result - the WSAPI result, once next has resolved
+   - @param {function} next - sends the request (through the remaining middleware) and resolves the WSAPI result.
+     Return its result, possibly transformed, or return a result without calling next to short-circuit the request.
+   @return {RestApi} this client, for chaining
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new TypeError('Middleware must be a function');
+    }
+    this.middleware.push(middleware);
+    return this;
   }
 
   /**
@@ -123,7 +498,9 @@ export default class RestApi {
    - @member {object} scope - the default scoping to use.  if not specified server default will be used.
    - @member {ref} scope.workspace - the workspace
    - @member {string/string[]} fetch - the fields to include on the returned record
-   - @member {object} requestOptions - Additional options to be applied to the request: https://github.com/mikeal/request (optional)
+   - @member {object} requestOptions - Additional options to be applied to the request: https://axios-http.com/docs/req_config (optional)
+   - @member {AbortSignal} signal - a signal to cancel the operation, rejecting with an AbortError (optional)
+   - @member {int} timeout - the timeout in ms of each request, overriding the client default (optional)
    @param {function} callback - A callback to be called when the operation completes
    - @param {string[]} errors - Any errors which occurred
    - @param {object} result - the operation result
@@ -132,7 +509,9 @@ export default class RestApi {
   create(options, callback) {
     const postBody = {};
     postBody[options.type] = options.data;
-    return this.request.post(
+    return send.call(
+      this,
+      'post',
       _.merge(
         {
           url: `/${options.type}/create`,
@@ -153,7 +532,9 @@ export default class RestApi {
    - @member {object} scope - the default scoping to use.  if not specified server default will be used.
    - @member {ref} scope.workspace - the workspace
    - @member {string/string[]} fetch - the fields to include on the returned record
-   - @member {object} requestOptions - Additional options to be applied to the request: https://github.com/mikeal/request (optional)
+   - @member {object} requestOptions - Additional options to be applied to the request: https://axios-http.com/docs/req_config (optional)
+   - @member {AbortSignal} signal - a signal to cancel the operation, rejecting with an AbortError (optional)
+   - @member {int} timeout - the timeout in ms of each request, overriding the client default (optional)
    @param {function} callback - A callback to be called when the operation completes
    - @param {string[]} errors - Any errors which occurred
    - @param {object} result - the operation result
@@ -162,14 +543,14 @@ export default class RestApi {
   update(options, callback) {
     const relativeRef = refUtils.getRelative(options.ref);
     if (!relativeRef) {
-      const error = new Error(`Invalid ref: ${options.ref}`);
-      error.errors = [`Invalid ref: ${options.ref}`];
-      return Promise.reject(error);
+      return Promise.reject(new ValidationError([`Invalid ref: ${options.ref}`]));
     }
 
     const postBody = {};
     postBody[refUtils.getType(options.ref)] = options.data;
-    return this.request.put(
+    return send.call(
+      this,
+      'put',
       _.merge(
         {
           url: relativeRef,
@@ -188,7 +569,9 @@ export default class RestApi {
    - @member {string} ref - The ref of the object to delete, e.g. /defect/1234
    - @member {object} scope - the default scoping to use.  if not specified server default will be used.
    - @member {ref} scope.workspace - the workspace
-   - @member {object} requestOptions - Additional options to be applied to the request: https://github.com/mikeal/request (optional)
+   - @member {object} requestOptions - Additional options to be applied to the request: https://axios-http.com/docs/req_config (optional)
+   - @member {AbortSignal} signal - a signal to cancel the operation, rejecting with an AbortError (optional)
+   - @member {int} timeout - the timeout in ms of each request, overriding the client default (optional)
    @param {function} callback - A callback to be called when the operation completes
    - @param {string[]} errors - Any errors which occurred
    - @param {object} result - the operation result
@@ -197,12 +580,12 @@ export default class RestApi {
   del(options, callback) {
     const relativeRef = refUtils.getRelative(options.ref);
     if (!relativeRef) {
-      const error = new Error(`Invalid ref: ${options.ref}`);
-      error.errors = [`Invalid ref: ${options.ref}`];
-      return Promise.reject(error);
+      return Promise.reject(new ValidationError([`Invalid ref: ${options.ref}`]));
     }
 
-    return this.request.del(
+    return send.call(
+      this,
+      'delete',
       _.merge(
         {
           url: relativeRef
@@ -221,7 +604,17 @@ export default class RestApi {
    - @member {object} scope - the default scoping to use.  if not specified server default will be used.
    - @member {ref} scope.workspace - the workspace
    - @member {string/string[]} fetch - the fields to include on the returned record
-   - @member {object} requestOptions - Additional options to be applied to the request: https://github.com/mikeal/request (optional)
+   - @member {string/string[]/object} expand - the fetched collections to replace with the array of their objects, e.g. ['Tasks', 'Defects'],
+     or an object of the query options of each collection, e.g. {Tasks: ['Name', 'State']} or {Defects: {fetch: ['Name'], order: 'Rank'}},
+     collections without a fetch return all their fields (optional)
+   - @member {int} expandConcurrency - the maximum number of collections queried at once (default=4)
+   - @member {string/string[]/object} select - the fields of the returned record, flattening nested paths and renaming with as,
+     e.g. ['FormattedID', 'Owner._refObjectName as owner', 'c_Team as team'], or {owner: 'Owner._refObjectName'} (optional)
+   - @member {object} map - converters of the returned fields: (value, object) => value, e.g. {PlanEstimate: value => value || 0} (optional).
+     With select or map, WSAPI metadata such as _rallyAPIMajor and _objectVersion is dropped.
+   - @member {object} requestOptions - Additional options to be applied to the request: https://axios-http.com/docs/req_config (optional)
+   - @member {AbortSignal} signal - a signal to cancel the operation, rejecting with an AbortError (optional)
+   - @member {int} timeout - the timeout in ms of each request, overriding the client default (optional)
    @param {function} callback - A callback to be called when the operation completes
    - @param {string[]} errors - Any errors which occurred
    - @param {object} result - the operation result
@@ -230,12 +623,12 @@ export default class RestApi {
   get(options, callback) {
     const relativeRef = refUtils.getRelative(options.ref);
     if (!relativeRef) {
-      const error = new Error(`Invalid ref: ${options.ref}`);
-      error.errors = [`Invalid ref: ${options.ref}`];
-      return Promise.reject(error);
+      return Promise.reject(new ValidationError([`Invalid ref: ${options.ref}`]));
     }
 
-    const getPromise = this.request.get(
+    const getPromise = send.call(
+      this,
+      'get',
       _.merge(
         {
           url: relativeRef
@@ -249,7 +642,7 @@ export default class RestApi {
         Warnings: (result && result.Warnings) || [],
         Object: _.omit(result, ['Errors', 'Warnings'])
       };
-    });
+    }).then(result => transformResults.call(this, [result.Object], options).then(([object]) => _.assign(result, {Object: object})));
 
     callbackify(getPromise, callback);
     return getPromise;
@@ -259,7 +652,9 @@ export default class RestApi {
    Query for objects
    @param {object} options - The query options (required)
    - @member {string} ref - The ref of the collection to query, e.g. /defect/12345/tasks (required if type not specified)
-   - @member {string} type - The type to query, e.g. defect, hierarchicalrequirement (required if ref not specified)
+   - @member {string} type - The type to query, e.g. defect, hierarchicalrequirement (required if ref or types not specified)
+   - @member {string/string[]} types - the concrete types to return from a polymorphic query, e.g. ['hierarchicalrequirement', 'defect'].
+     Queries /artifact unless type is specified, and each result is tagged with its _type, see restapi.util.type.splitByType
    - @member {object} scope - the default scoping to use.  if not specified server default will be used.
    - @member {ref} scope.workspace - the workspace
    - @member {ref} scope.project - the project, or null to include entire workspace
@@ -269,20 +664,28 @@ export default class RestApi {
    - @member {int} pageSize - the page size, 1 - 200 (default=200)
    - @member {int} limit - the maximum number of records to return
    - @member {string/string[]} fetch - the fields to include on each returned record
+   - @member {string/string[]/object} expand - the fetched collections of each record to replace with the array of their objects, as for get (optional)
+   - @member {int} expandConcurrency - the maximum number of collections queried at once (default=4)
+   - @member {string/string[]/object} select - the fields of each returned record, as for get. Applied page by page (optional)
+   - @member {object} map - converters of the returned fields, as for get (optional)
    - @member {string/string[]} order - the order by which to sort the results
    - @member {string/query} query - a query to filter the result set
-   - @member {object} requestOptions - Additional options to be applied to the request: https://github.com/mikeal/request (optional)
+   - @member {boolean/int} parallelPages - once the first page is loaded, request the remaining pages concurrently,
+     at most this many at once (true=4). Results are still returned in order. (default=false)
+   - @member {object} cursor - resume a query from the cursor of a queryStream or iteratePages page (optional)
+   - @member {boolean/string} consistency - guard query against records created, deleted or re-ranked while paging (optional):
+     true or 'report' to keep each object once by ObjectID and report TotalResultCount changes between pages in the
+     Consistency property of the result, 'reread' to also start over from the first page when it changes (at most twice)
+   - @member {object} requestOptions - Additional options to be applied to the request: https://axios-http.com/docs/req_config (optional)
+   - @member {AbortSignal} signal - a signal to cancel the operation, rejecting with an AbortError (optional)
+   - @member {int} timeout - the timeout in ms of each request, overriding the client default (optional)
    @param {function} callback - A callback to be called when the operation completes
    - @param {string[]} errors - Any errors which occurred
    - @param {object} result - the operation result
    @return {promise}
    */
   query(options, callback) {
-    const self = this;
-    options = _.merge({
-      start: 1,
-      pageSize: 200
-    }, options);
+    options = queryOptions(options);
 
     // Early return for limit=0 - no API calls needed
     if (options.limit === 0) {
@@ -298,35 +701,24 @@ export default class RestApi {
       return Promise.resolve(emptyResult);
     }
 
-    // Performance optimization: Calculate optimal page size for better network efficiency
-    let optimalPageSize = Math.max(1, options.pageSize); // Ensure minimum pageSize of 1
-    if (options.limit !== undefined && options.limit > 0) {
-      // Use smaller page size for small limits to reduce over-fetching
-      optimalPageSize = Math.min(optimalPageSize, options.limit);
-    }
-
-    const requestOptions = _.merge({
-      url: refUtils.getRelative(options.ref) || `/${options.type}`,
-      qs: {
-        start: options.start,
-        pagesize: optimalPageSize
-      }
-    }, options.requestOptions, optionsToRequestOptions(options));
-    if (_.isArray(options.order)) {
-      requestOptions.qs.order = options.order.join(',');
-    } else if (_.isString(options.order)) {
-      requestOptions.qs.order = options.order;
-    }
-    if (options.query) {
-      requestOptions.qs.query = (options.query.toQueryString &&
-          options.query.toQueryString()) || options.query;
+    if (options.consistency) {
+      const consistentPromise = consistentQuery.call(this, options)
+        .then(result => transformResults.call(this, result.Results, options).then(results => _.assign(result, {Results: results})));
+      callbackify(consistentPromise, callback);
+      return consistentPromise;
     }
 
+    const requestOptions = queryToRequestOptions(options);
+    const fetchNextPage = createPageFetcher.call(this, requestOptions, options);
+    const collector = createMessageCollector.call(this, requestOptions);
+    // Pages are transformed as they arrive, unless collections must be expanded first
+    const project = !options.expand && createProjection(options);
     let results = [];
     let totalFetched = 0;
 
     function loadRemainingPages(result) {
-      const pageResults = result.Results;
+      collector.add(result);
+      const pageResults = pageResultsOf(result, options, project);
 
       // Performance optimization: Use push.apply instead of concat to avoid array copying
       if (pageResults && pageResults.length > 0) {
@@ -357,94 +749,110 @@ export default class RestApi {
         totalFetched += pageResults.length;
       }
 
-      // Validate pagination parameters to prevent infinite loops
-      const isValidPagination =
-        result.StartIndex &&
-        typeof result.StartIndex === 'number' &&
-        options.pageSize &&
-        options.pageSize > 0 &&
-        result.TotalResultCount &&
-        typeof result.TotalResultCount === 'number';
-
-      // Enhanced termination condition with early exit for limits
-      const hasMoreData = result.StartIndex + options.pageSize <= result.TotalResultCount;
-      const withinLimit = options.limit === undefined || totalFetched < options.limit;
-
-      if (isValidPagination && hasMoreData && withinLimit) {
-        // Performance optimization: Reuse base request options object
-        const nextPageOptions = {
-          url: requestOptions.url,
-          qs: Object.assign({}, requestOptions.qs, {
-            start: result.StartIndex + options.pageSize
-          })
-        };
-
-        return self.request.get(nextPageOptions).then(loadRemainingPages);
-      } else {
+      return fetchNextPage(result, totalFetched).then((nextResult) => {
+        if (nextResult) {
+          return loadRemainingPages(nextResult);
+        }
         // Final result preparation - no additional slicing needed due to early exits above
         result.Results = results;
         result.StartIndex = options.start;
         result.PageSize = results.length;
         return result;
-      }
+      });
     }
 
-    const queryPromise = this.request.get(requestOptions).then(loadRemainingPages);
+    const queryPromise = send.call(this, 'get', requestOptions)
+      .then(loadRemainingPages)
+      .then(result => _.assign(result, collector.messages))
+      .then((result) => {
+        if (!options.expand) {
+          return result;
+        }
+        return transformResults.call(this, result.Results, options).then(results => _.assign(result, {Results: results}));
+      });
 
     callbackify(queryPromise, callback);
     return queryPromise;
   }
 
+  /**
+   Count the objects matching a query with a single minimal request, without downloading the results
+   @param {object} options - The count options (required)
+   - @member {string} ref - The ref of the collection to count, e.g. /defect/12345/tasks (required if type not specified)
+   - @member {string} type - The type to count, e.g. defect, hierarchicalrequirement (required if ref or types not specified)
+   - @member {string/string[]} types - the concrete types to count, as for query
+   - @member {object} scope - the default scoping to use, as for query
+   - @member {string/query} query - a query to filter the result set
+   - @member {object} requestOptions - Additional options to be applied to the request: https://axios-http.com/docs/req_config (optional)
+   - @member {AbortSignal} signal - a signal to cancel the operation, rejecting with an AbortError (optional)
+   - @member {int} timeout - the timeout in ms of the request, overriding the client default (optional)
+   @param {function} callback - A callback to be called when the operation completes
+   - @param {string[]} errors - Any errors which occurred
+   - @param {int} result - the number of matching objects
+   @return {promise}
+   */
+  count(options, callback) {
+    const requestOptions = queryToRequestOptions(_.assign(_.omit(options, ['fetch', 'order', 'limit']), {
+      start: 1,
+      pageSize: 1
+    }));
+    // Only the refs of the single result are returned
+    requestOptions.qs.fetch = false;
+
+    const countPromise = send.call(this, 'get', requestOptions).then(result => result.TotalResultCount);
+
+    callbackify(countPromise, callback);
+    return countPromise;
+  }
+
+  /**
+   Run several counts concurrently
+   @param {object[]|object} optionsList - the options of each count, either an array or an object keyed by name
+   @param {function} callback - A callback to be called when the operation completes
+   - @param {string[]} errors - Any errors which occurred
+   - @param {int[]|object} result - the counts, in the same shape as optionsList
+   @return {promise}
+   */
+  countMany(optionsList, callback) {
+    const keys = _.keys(optionsList);
+    const countsPromise = Promise.all(keys.map(key => this.count(optionsList[key]))).then((counts) => {
+      return _.isArray(optionsList) ? counts : _.zipObject(keys, counts);
+    });
+
+    callbackify(countsPromise, callback);
+    return countsPromise;
+  }
+
   /**
    Query for objects with streaming/async iteration support for large datasets
    @param {object} options - The query options (same as query method)
    @param {function} onPageCallback - Called for each page of results: (pageResults, pageInfo) => boolean|Promise<boolean>
    - Return true to continue, false to stop iteration
+   - pageInfo: {startIndex, pageSize, totalResultCount, totalProcessed, warnings, cursor}. The cursor is a plain object which can be
+     serialized and passed back as the cursor option to resume the query after this page, or null after the last page.
    @param {function} callback - A callback to be called when the operation completes
-   @return {promise}
+   @return {promise} resolving {totalProcessed, completed, Errors, Warnings}, with the distinct Errors and Warnings of every page
    */
   queryStream(options, onPageCallback, callback) {
-    const self = this;
-    options = _.merge({
-      start: 1,
-      pageSize: 200
-    }, options);
+    options = queryOptions(options);
 
     // Early return for limit=0 - no API calls needed
     if (options.limit === 0) {
-      const emptyResult = { totalProcessed: 0, completed: true };
+      const emptyResult = { totalProcessed: 0, completed: true, Errors: [], Warnings: [] };
       callbackify(Promise.resolve(emptyResult), callback);
       return Promise.resolve(emptyResult);
     }
 
-    // Performance optimization: Calculate optimal page size
-    let optimalPageSize = Math.max(1, options.pageSize); // Ensure minimum pageSize of 1
-    if (options.limit !== undefined && options.limit > 0) {
-      optimalPageSize = Math.min(optimalPageSize, options.limit);
-    }
-
-    const requestOptions = _.merge({
-      url: refUtils.getRelative(options.ref) || `/${options.type}`,
-      qs: {
-        start: options.start,
-        pagesize: optimalPageSize
-      }
-    }, options.requestOptions, optionsToRequestOptions(options));
-
-    if (_.isArray(options.order)) {
-      requestOptions.qs.order = options.order.join(',');
-    } else if (_.isString(options.order)) {
-      requestOptions.qs.order = options.order;
-    }
-    if (options.query) {
-      requestOptions.qs.query = (options.query.toQueryString &&
-          options.query.toQueryString()) || options.query;
-    }
+    const requestOptions = queryToRequestOptions(options);
+    const fetchNextPage = createPageFetcher.call(this, requestOptions, options);
+    const collector = createMessageCollector.call(this, requestOptions);
+    const project = createProjection(options);
 
     let totalProcessed = 0;
 
     async function processPages(result) {
-      const pageResults = result.Results;
+      collector.add(result);
+      const pageResults = pageResultsOf(result, options, project);
 
       if (pageResults && pageResults.length > 0) {
         // Apply limit to page results if necessary
@@ -464,8 +872,10 @@ export default class RestApi {
           startIndex: result.StartIndex,
           pageSize: limitedPageResults.length,
           totalResultCount: result.TotalResultCount,
-          totalProcessed: totalProcessed + limitedPageResults.length
+          totalProcessed: totalProcessed + limitedPageResults.length,
+          warnings: result.Warnings || []
         };
+        pageInfo.cursor = queryCursor(requestOptions, result, options, pageInfo.totalProcessed);
 
         const continueProcessing = await onPageCallback(limitedPageResults, pageInfo);
         totalProcessed += limitedPageResults.length;
@@ -481,33 +891,17 @@ export default class RestApi {
       }
 
       // Check if there are more pages
-      const isValidPagination =
-        result.StartIndex &&
-        typeof result.StartIndex === 'number' &&
-        options.pageSize &&
-        options.pageSize > 0 &&
-        result.TotalResultCount &&
-        typeof result.TotalResultCount === 'number';
-
-      const hasMoreData = result.StartIndex + options.pageSize <= result.TotalResultCount;
-      const withinLimit = options.limit === undefined || totalProcessed < options.limit;
-
-      if (isValidPagination && hasMoreData && withinLimit) {
-        const nextPageOptions = {
-          url: requestOptions.url,
-          qs: Object.assign({}, requestOptions.qs, {
-            start: result.StartIndex + options.pageSize
-          })
-        };
-
-        const nextResult = await self.request.get(nextPageOptions);
+      const nextResult = await fetchNextPage(result, totalProcessed);
+      if (nextResult) {
         return processPages(nextResult);
       } else {
         return { totalProcessed, completed: true };
       }
     }
 
-    const queryPromise = this.request.get(requestOptions).then(processPages);
+    const queryPromise = send.call(this, 'get', requestOptions)
+      .then(processPages)
+      .then(streamResult => _.assign(streamResult, collector.messages));
 
     callbackify(queryPromise, callback);
     return queryPromise;
@@ -519,7 +913,7 @@ export default class RestApi {
    @param {number} batchSize - Number of results to process in each batch (default: pageSize)
    @param {function} onBatchCallback - Called for each batch: (batchResults, batchInfo) => boolean|Promise<boolean>
    @param {function} callback - A callback to be called when the operation completes
-   @return {promise}
+   @return {promise} resolving {totalProcessed, totalBatches, completed, Errors, Warnings}
    */
   queryBatch(options, batchSize, onBatchCallback, callback) {
     // Handle overloaded parameters
@@ -576,11 +970,147 @@ export default class RestApi {
       return {
         totalProcessed,
         totalBatches: batches.length,
-        completed: streamResult.completed
+        completed: streamResult.completed,
+        Errors: streamResult.Errors,
+        Warnings: streamResult.Warnings
       };
     });
   }
 
+  /**
+   Query for objects as an object mode Readable stream, e.g. to pipe them into a CSV writer.
+   Built on queryStream, the next page is only requested once the consumer has drained the stream buffer.
+   Errors are emitted as stream errors and destroying the stream stops further page fetches.
+   @param {object} options - The query options (same as query method)
+   - @member {int} highWaterMark - the number of objects to buffer before pausing (default=16)
+   @return {Readable}
+   */
+  queryReadable(options) {
+    let started = false;
+    let stopped = false;
+    let resume = null;
+
+    const readable = new Readable({
+      objectMode: true,
+      highWaterMark: options.highWaterMark,
+      read: () => {
+        if (!started) {
+          started = true;
+          start();
+        } else if (resume) {
+          const resumeQuery = resume;
+          resume = null;
+          resumeQuery(true);
+        }
+      },
+      destroy: (error, cb) => {
+        stopped = true;
+        if (resume) {
+          resume(false);
+          resume = null;
+        }
+        cb(error);
+      }
+    });
+
+    const start = () => {
+      this.queryStream(options, (pageResults) => {
+        if (stopped) {
+          return false;
+        }
+        let hasCapacity = true;
+        pageResults.forEach((result) => {
+          hasCapacity = readable.push(result);
+        });
+        // Wait for the consumer to drain the buffer before requesting the next page
+        return hasCapacity || new Promise((resolve) => {
+          resume = resolve;
+        });
+      }).then(() => {
+        if (!stopped) {
+          readable.push(null);
+        }
+      }, (error) => {
+        readable.destroy(error);
+      });
+    };
+
+    return readable;
+  }
+
+  /**
+   Query for pages of objects with an async iterator, e.g. for await (const page of restApi.iteratePages(options)).
+   Breaking out of the loop stops further page fetches.
+   @param {object} options - The query options (same as query method)
+   @return {AsyncIterable} the pages: {results, startIndex, pageSize, totalResultCount, totalProcessed, warnings, cursor}, see queryStream
+   */
+  async *iteratePages(options) {
+    options = queryOptions(options);
+
+    // No API calls needed for limit=0
+    if (options.limit === 0) {
+      return;
+    }
+
+    const requestOptions = queryToRequestOptions(options);
+    const fetchNextPage = createPageFetcher.call(this, requestOptions, options);
+    const collector = createMessageCollector.call(this, requestOptions);
+    const project = createProjection(options);
+    let totalProcessed = 0;
+    let result = await send.call(this, 'get', requestOptions);
+
+    for (;;) {
+      collector.add(result);
+      const pageResults = pageResultsOf(result, options, project);
+
+      if (pageResults && pageResults.length > 0) {
+        // Apply limit to page results if necessary
+        let limitedPageResults = pageResults;
+        if (options.limit !== undefined) {
+          const remainingNeeded = options.limit - totalProcessed;
+          if (remainingNeeded <= 0) {
+            return;
+          }
+          if (pageResults.length > remainingNeeded) {
+            limitedPageResults = pageResults.slice(0, remainingNeeded);
+          }
+        }
+
+        totalProcessed += limitedPageResults.length;
+        yield {
+          results: limitedPageResults,
+          startIndex: result.StartIndex,
+          pageSize: limitedPageResults.length,
+          totalResultCount: result.TotalResultCount,
+          totalProcessed,
+          warnings: result.Warnings || [],
+          cursor: queryCursor(requestOptions, result, options, totalProcessed)
+        };
+
+        if (options.limit !== undefined && totalProcessed >= options.limit) {
+          return;
+        }
+      }
+
+      result = await fetchNextPage(result, totalProcessed);
+      if (!result) {
+        return;
+      }
+    }
+  }
+
+  /**
+   Query for objects with an async iterator, e.g. for await (const story of restApi.iterate(options)).
+   Pages are fetched as the iteration progresses and breaking out of the loop stops further page fetches.
+   @param {object} options - The query options (same as query method)
+   @return {AsyncIterable} the objects
+   */
+  async *iterate(options) {
+    for await (const page of this.iteratePages(options)) {
+      yield* page.results;
+    }
+  }
+
   /**
    Adds items to a collection
    @param {object} options - The add options (required)
@@ -590,7 +1120,9 @@ export default class RestApi {
    - @member {string/string[]} fetch - the fields to include on the returned records
    - @member {object} scope - the default scoping to use.  if not specified server default will be used.
    - @member {ref} scope.workspace - the workspace
-   - @member {object} requestOptions - Additional options to be applied to the request: https://github.com/mikeal/request (optional)
+   - @member {object} requestOptions - Additional options to be applied to the request: https://axios-http.com/docs/req_config (optional)
+   - @member {AbortSignal} signal - a signal to cancel the operation, rejecting with an AbortError (optional)
+   - @member {int} timeout - the timeout in ms of each request, overriding the client default (optional)
    @param {function} callback - A callback to be called when the operation completes
    - @param {string[]} errors - Any errors which occurred
    - @param {object} result - the operation result
@@ -609,7 +1141,9 @@ export default class RestApi {
    - @member {string/string[]} fetch - the fields to include on the returned records
    - @member {object} scope - the default scoping to use.  if not specified server default will be used.
    - @member {ref} scope.workspace - the workspace
-   - @member {object} requestOptions - Additional options to be applied to the request: https://github.com/mikeal/request (optional)
+   - @member {object} requestOptions - Additional options to be applied to the request: https://axios-http.com/docs/req_config (optional)
+   - @member {AbortSignal} signal - a signal to cancel the operation, rejecting with an AbortError (optional)
+   - @member {int} timeout - the timeout in ms of each request, overriding the client default (optional)
    @param {function} callback - A callback to be called when the operation completes
    - @param {string[]} errors - Any errors which occurred
    - @param {object} result - the operation result
@@ -618,4 +1152,21 @@ export default class RestApi {
   remove(options, callback) {
     return collectionPost.call(this, options, 'remove', callback);
   }
+
+  /**
+   Get the depth of the request queues
+   @return {object} {read: {queued, running}, write: {queued, running}}
+   */
+  getQueueStats() {
+    return this.request.getQueueStats();
+  }
+
+  /**
+   Discard the cached security token used for create, update, delete, add and remove requests
+   when authenticating with a username and password. The next such request re-authorizes.
+   Requests authenticated with an api key do not use a security token.
+   */
+  invalidateToken() {
+    this.request.invalidateToken();
+  }
 }
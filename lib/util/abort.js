@@ -0,0 +1,28 @@
+import { AbortError } from '../errors.js';
+
+/**
+ @module Abort
+
+ This module contains utility methods for cancelling requests with an AbortSignal
+ */
+
+/**
+ Create the error a cancelled operation rejects with.
+ It can be recognized by its class or name (AbortError), its code (ABORT_ERR) or its aborted flag.
+ @param {AbortSignal} signal - the signal which was aborted
+ @return {Error}
+ */
+export function createAbortError(signal) {
+  const details = (signal && signal.reason !== undefined) ? {reason: signal.reason} : {};
+  return new AbortError(['The operation was aborted'], details);
+}
+
+export function isAborted(signal) {
+  return Boolean(signal && signal.aborted);
+}
+
+export function throwIfAborted(signal) {
+  if (isAborted(signal)) {
+    throw createAbortError(signal);
+  }
+}
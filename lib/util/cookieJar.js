@@ -0,0 +1,197 @@
+import fs from 'fs';
+import _ from 'lodash';
+
+/**
+ @module CookieJar
+
+ This module contains a minimal cookie jar which captures Set-Cookie headers
+ and replays the matching cookies on subsequent requests, optionally persisted to a file
+ */
+
+function defaultPath(pathname) {
+  const lastSlash = pathname.lastIndexOf('/');
+  return lastSlash > 0 ? pathname.slice(0, lastSlash) : '/';
+}
+
+function parseSetCookie(header, url, now) {
+  const [pair, ...attributes] = header.split(';');
+  const separator = pair.indexOf('=');
+  if (separator <= 0) {
+    return null;
+  }
+
+  const cookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim(),
+    domain: url.hostname,
+    hostOnly: true,
+    path: defaultPath(url.pathname),
+    expires: null,
+    secure: false,
+    httpOnly: false
+  };
+
+  let maxAge;
+  attributes.forEach((attribute) => {
+    const [key, ...rest] = attribute.split('=');
+    const value = rest.join('=').trim();
+    switch (key.trim().toLowerCase()) {
+      case 'domain':
+        if (value) {
+          cookie.domain = value.replace(/^\./, '').toLowerCase();
+          cookie.hostOnly = false;
+        }
+        break;
+      case 'path':
+        if (value.charAt(0) === '/') {
+          cookie.path = value;
+        }
+        break;
+      case 'expires': {
+        const expires = Date.parse(value);
+        if (!isNaN(expires)) {
+          cookie.expires = expires;
+        }
+        break;
+      }
+      case 'max-age':
+        if (/^-?\d+$/.test(value)) {
+          maxAge = parseInt(value, 10);
+        }
+        break;
+      case 'secure':
+        cookie.secure = true;
+        break;
+      case 'httponly':
+        cookie.httpOnly = true;
+        break;
+    }
+  });
+
+  // Max-Age takes precedence over Expires
+  if (maxAge !== undefined) {
+    cookie.expires = now + maxAge * 1000;
+  }
+  return cookie;
+}
+
+function domainMatches(cookie, hostname) {
+  if (hostname === cookie.domain) {
+    return true;
+  }
+  return !cookie.hostOnly && _.endsWith(hostname, `.${cookie.domain}`);
+}
+
+function pathMatches(cookie, pathname) {
+  if (pathname === cookie.path) {
+    return true;
+  }
+  return _.startsWith(pathname, cookie.path) &&
+    (_.endsWith(cookie.path, '/') || pathname.charAt(cookie.path.length) === '/');
+}
+
+export default class CookieJar {
+  /**
+   @constructor
+   @param {object} options (optional)
+   - @member {string} file - path of a JSON file the cookies are loaded from and saved to
+   - @member {function} warn - (message, fields) called when the file cannot be loaded or saved
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this._warn = options.warn || _.noop;
+    this._cookies = [];
+    if (this.file) {
+      this.load();
+    }
+  }
+
+  /**
+   Store the cookies sent by the server
+   @param {string|string[]} setCookieHeaders - the Set-Cookie header values of a response
+   @param {string} url - the absolute url of the request
+   */
+  setCookies(setCookieHeaders, url) {
+    if (!setCookieHeaders) {
+      return;
+    }
+    const now = Date.now();
+    const parsedUrl = new URL(url);
+    _.castArray(setCookieHeaders).forEach((header) => {
+      const cookie = parseSetCookie(header, parsedUrl, now);
+      if (!cookie || !domainMatches(_.assign({}, cookie, {hostOnly: false}), parsedUrl.hostname)) {
+        return;
+      }
+      _.remove(this._cookies, existing => existing.name === cookie.name &&
+        existing.domain === cookie.domain && existing.path === cookie.path);
+      if (cookie.expires === null || cookie.expires > now) {
+        this._cookies.push(cookie);
+      }
+    });
+    this.save();
+  }
+
+  /**
+   Build the Cookie header value for a request
+   @param {string} url - the absolute url of the request
+   @return {string} the header value, or undefined if no cookies match
+   */
+  getCookieHeader(url) {
+    const cookies = this.getCookies(url);
+    return cookies.length ? cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ') : undefined;
+  }
+
+  /**
+   Get the unexpired cookies
+   @param {string} url (optional) - only return the cookies which would be sent to this url
+   @return {object[]}
+   */
+  getCookies(url) {
+    const now = Date.now();
+    _.remove(this._cookies, cookie => cookie.expires !== null && cookie.expires <= now);
+    if (!url) {
+      return this._cookies.slice();
+    }
+    const parsedUrl = new URL(url);
+    return this._cookies.filter(cookie => domainMatches(cookie, parsedUrl.hostname) &&
+      pathMatches(cookie, parsedUrl.pathname) &&
+      (!cookie.secure || parsedUrl.protocol === 'https:'));
+  }
+
+  clear() {
+    this._cookies = [];
+    this.save();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+    try {
+      const cookies = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (!_.isArray(cookies)) {
+        throw new TypeError('expected an array of cookies');
+      }
+      this._cookies = cookies;
+    } catch (error) {
+      // A corrupt or unreadable file only costs a new session
+      this._cookies = [];
+      this._warn('unable to load the cookie file, starting with an empty jar', {file: this.file, error: error.message});
+    }
+  }
+
+  save() {
+    if (this.file) {
+      // Write the session cookies readable by the owner only, then rename so readers never see a partial file
+      const tempFile = `${this.file}.${process.pid}.tmp`;
+      try {
+        fs.writeFileSync(tempFile, JSON.stringify(this._cookies, null, 2), {mode: 0o600});
+        fs.renameSync(tempFile, this.file);
+      } catch (error) {
+        // The cookies stay in memory, only their persistence is lost
+        fs.rmSync(tempFile, {force: true});
+        this._warn('unable to save the cookie file', {file: this.file, error: error.message});
+      }
+    }
+  }
+}
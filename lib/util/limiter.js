@@ -0,0 +1,109 @@
+import _ from 'lodash';
+import { createAbortError, isAborted } from './abort.js';
+
+/**
+ @module Limiter
+
+ This module contains the queue Request uses to bound the number of concurrent requests
+ and the number of requests started per interval
+ */
+
+export default class Limiter {
+  /**
+   @constructor
+   @param {object} options (optional)
+   - @member {int} maxConcurrent - the maximum number of tasks running at once (default: unlimited)
+   - @member {int} maxPerInterval - the maximum number of tasks started per interval (default: unlimited)
+   - @member {int} interval - the length in ms of the rate limiting window (default=1000)
+   */
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || Infinity;
+    this.maxPerInterval = options.maxPerInterval || Infinity;
+    this.interval = options.interval || 1000;
+    this.running = 0;
+    this._queue = [];
+    this._starts = [];
+    this._timer = null;
+  }
+
+  /**
+   The number of tasks waiting for a slot
+   */
+  get queued() {
+    return this._queue.length;
+  }
+
+  /**
+   Run a task as soon as the limits allow
+   @param {function} task - () => Promise
+   @param {AbortSignal} signal (optional) - removes the task from the queue when aborted before it started
+   @return {promise} the result of the task
+   */
+  schedule(task, signal) {
+    if (isAborted(signal)) {
+      return Promise.reject(createAbortError(signal));
+    }
+    return new Promise((resolve, reject) => {
+      const entry = {task, resolve, reject, signal};
+      if (signal) {
+        entry.onAbort = () => {
+          _.pull(this._queue, entry);
+          reject(createAbortError(signal));
+        };
+        signal.addEventListener('abort', entry.onAbort, {once: true});
+      }
+      this._queue.push(entry);
+      this._drain();
+    });
+  }
+
+  _drain() {
+    while (this._queue.length && this.running < this.maxConcurrent) {
+      if (this.maxPerInterval !== Infinity) {
+        const now = Date.now();
+        while (this._starts.length && this._starts[0] <= now - this.interval) {
+          this._starts.shift();
+        }
+        if (this._starts.length >= this.maxPerInterval) {
+          this._scheduleDrain(this._starts[0] + this.interval - now);
+          return;
+        }
+        this._starts.push(now);
+      }
+      this._run(this._queue.shift());
+    }
+  }
+
+  _scheduleDrain(delay) {
+    if (!this._timer) {
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this._drain();
+      }, delay);
+    }
+  }
+
+  _run(entry) {
+    if (entry.signal) {
+      entry.signal.removeEventListener('abort', entry.onAbort);
+    }
+    this.running++;
+    const done = () => {
+      this.running--;
+      this._drain();
+    };
+    let taskPromise;
+    try {
+      taskPromise = Promise.resolve(entry.task());
+    } catch (e) {
+      taskPromise = Promise.reject(e);
+    }
+    taskPromise.then((result) => {
+      done();
+      entry.resolve(result);
+    }, (error) => {
+      done();
+      entry.reject(error);
+    });
+  }
+}
@@ -0,0 +1,71 @@
+import _ from 'lodash';
+
+/**
+ @module Logger
+
+ This module contains the logger used by Request. Entries are plain objects carrying the message
+ as both msg and message, so pino and winston loggers can be plugged in as is.
+ Credentials are always redacted before an entry reaches the logger.
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const REDACTED = '[REDACTED]';
+
+const SENSITIVE_KEYS = /^(key|zsessionid|authorization|proxy-authorization|cookie|set-cookie|password|pass|passphrase)$/i;
+
+// NODE_DEBUG=rally enables debug logging, see restapi.debug
+export const settings = {
+  debug: /\brally\b/.test(process.env.NODE_DEBUG || '')
+};
+
+/**
+ Redact credentials: sensitive keys at any depth, credentials embedded in urls and key query string parameters
+ @param {*} value
+ @return {*} a redacted copy
+ */
+export function redact(value) {
+  if (_.isArray(value)) {
+    return value.map(redact);
+  }
+  if (_.isPlainObject(value)) {
+    return _.mapValues(value, (v, k) => (SENSITIVE_KEYS.test(k) ? REDACTED : redact(v)));
+  }
+  if (_.isString(value)) {
+    return value
+      .replace(/(\/\/)[^/@\s:]+:[^/@\s]*@/g, `$1${REDACTED}@`)
+      .replace(/([?&]key=)[^&\s]+/gi, `$1${REDACTED}`);
+  }
+  return value;
+}
+
+const consoleLogger = _.fromPairs(['debug', 'info', 'warn', 'error'].map(level => [
+  level,
+  entry => console[level](`rally ${level}: ${entry.msg}`, _.omit(entry, ['msg', 'message']))
+]));
+
+/**
+ Create a logger
+ @param {object} options (optional)
+ - @member {object|boolean} logger - an object with debug, info, warn and error methods each called with an entry, or false to disable logging (default: console)
+ - @member {string} logLevel - the minimum level logged: debug, info, warn, error or silent (default: debug if restapi.debug, otherwise warn)
+ @return {object} a logger with debug, info, warn and error methods taking a message and fields
+ */
+export default function createLogger(options = {}) {
+  const target = options.logger === undefined ? consoleLogger : options.logger;
+  const threshold = () => LEVELS.indexOf(options.logLevel || (settings.debug ? 'debug' : 'warn'));
+
+  const log = level => (message, fields) => {
+    if (!target || typeof target[level] !== 'function' || LEVELS.indexOf(level) < threshold()) {
+      return;
+    }
+    target[level](redact(_.assign({}, fields, {msg: message, message})));
+  };
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error')
+  };
+}
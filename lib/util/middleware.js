@@ -0,0 +1,22 @@
+/**
+ @module Middleware
+
+ This module runs the middleware registered with RestApi#use around each WSAPI request
+ */
+
+/**
+ Run a request through a middleware chain
+ @param {function[]} middleware - the middleware, in registration order: (context, next) => result|Promise<result>
+ @param {object} context - the request context shared by all middleware
+ @param {function} send - performs the request described by the context once the chain calls the last next()
+ @return {promise} the (possibly transformed) WSAPI result
+ */
+export default function runMiddleware(middleware, context, send) {
+  const dispatch = (index) => {
+    if (index === middleware.length) {
+      return send(context);
+    }
+    return Promise.resolve().then(() => middleware[index](context, () => dispatch(index + 1)));
+  };
+  return dispatch(0);
+}
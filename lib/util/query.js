@@ -1,4 +1,5 @@
 import _ from 'lodash';
+import { QuerySyntaxError } from '../errors.js';
 import refUtils from './ref.js';
 
 /**
@@ -7,6 +8,122 @@ import refUtils from './ref.js';
  This module contains utility methods for working with the Rally query syntax
  */
 
+// Longest first, so that <= is not read as <
+const COMPARISON_OPERATORS = ['!=', '<=', '>=', '=', '<', '>'];
+
+const WORD_OPERATORS = ['contains', '!contains', 'in', '!in', 'between'];
+
+const LIST_OPERATORS = ['in', '!in'];
+
+// WSAPI has no NOT, so negating a condition swaps its operator
+const NEGATED_OPERATORS = {
+  '=': '!=',
+  '!=': '=',
+  '<': '>=',
+  '>=': '<',
+  '>': '<=',
+  '<=': '>',
+  'contains': '!contains',
+  '!contains': 'contains',
+  'in': '!in',
+  '!in': 'in'
+};
+
+// Unquoted, these would be read as something other than a string
+const KEYWORD_VALUES = ['null', 'true', 'false', 'and', 'or'];
+
+function quote(value) {
+  return `"${value.replace(/[\\"]/g, '\\$&')}"`;
+}
+
+function formatValue(value) {
+  if (value === null) {
+    return 'null';
+  } else if (value != null && typeof value.toQueryString === 'function') {
+    return value.toQueryString();
+  } else if (refUtils.isRef(value)) {
+    return refUtils.getRelative(value);
+  } else if (_.isDate(value)) {
+    if (isNaN(value.getTime())) {
+      throw new TypeError('Invalid Date');
+    }
+    // ISO 8601 in UTC, e.g. 2024-01-15T09:30:00.000Z
+    return value.toISOString();
+  } else if (_.isBoolean(value) || _.isNumber(value)) {
+    return String(value);
+  } else if (_.isString(value)) {
+    const needsQuotes = value === '' ||
+      /[\s()",\\]/.test(value) ||
+      _.includes(KEYWORD_VALUES, value.toLowerCase());
+    return needsQuotes ? quote(value) : value;
+  }
+  return value;
+}
+
+// Queries built by another copy of this module, e.g. a dependency's, are not instances of this Query class
+function isQuery(value) {
+  return value instanceof Query || (_.isObject(value) && typeof value.toQueryString === 'function' && _.has(value, 'op'));
+}
+
+function toQuery(value) {
+  return value instanceof Query ? value : new Query(value.left, value.op, value.right);
+}
+
+function combine(queries, op) {
+  if (!_.isArray(queries) || !queries.length) {
+    throw new TypeError('An array of at least one query is required');
+  }
+  const build = (from, to) => {
+    if (to - from === 1) {
+      return toQuery(queries[from]);
+    }
+    const middle = Math.ceil((from + to) / 2);
+    return new Query(build(from, middle), op, build(middle, to));
+  };
+  return build(0, queries.length);
+}
+
+function valueToJSON(value) {
+  if (_.isArray(value)) {
+    return value.map(valueToJSON);
+  } else if (value instanceof QueryKeyword) {
+    return {keyword: value.keyword};
+  } else if (_.isDate(value)) {
+    return formatValue(value);
+  } else if (refUtils.isRef(value)) {
+    return refUtils.getRelative(value);
+  }
+  return value;
+}
+
+function valueFromJSON(value) {
+  if (_.isArray(value)) {
+    return value.map(valueFromJSON);
+  } else if (_.isPlainObject(value) && _.isString(value.keyword)) {
+    return new QueryKeyword(value.keyword);
+  }
+  return value;
+}
+
+function formatRight(op, right) {
+  const operator = _.isString(op) ? op.toLowerCase() : op;
+  if (operator === 'between') {
+    if (!_.isArray(right) || right.length !== 2) {
+      throw new TypeError('between requires an array of two values');
+    }
+    return `${formatValue(right[0])} and ${formatValue(right[1])}`;
+  }
+  if (_.includes(LIST_OPERATORS, operator)) {
+    // A string is taken as the comma separated list itself, e.g. 'Open,Closed'
+    const values = _.isString(right) ? right.split(',').map(_.trim) : _.castArray(right);
+    if (!values.length) {
+      throw new TypeError(`${op} requires at least one value`);
+    }
+    return values.map(formatValue).join(',');
+  }
+  return formatValue(right);
+}
+
 export default class Query {
   constructor(left, op, right) {
     this.left = left;
@@ -14,35 +131,348 @@ export default class Query {
     this.right = right;
   }
 
+  /**
+   Parse a Rally query string, e.g. ((State = Open) AND (Owner.Name contains "bob"))
+   @param {string} text
+   @return {Query} a query whose toQueryString() gives back the string in canonical form
+   @throws {QuerySyntaxError} carrying the position of the error
+   */
+  static parse(text) {
+    if (!_.isString(text)) {
+      throw new TypeError('A query string is required');
+    }
+    return new Parser(text).parse();
+  }
+
   toQueryString() {
     let left = this.left;
-    let right = this.right;
     if (left != null && typeof left.toQueryString === 'function') {
       left = left.toQueryString();
     }
 
-    if (right === null) {
-      right = 'null';
-    } else if (right != null && typeof right.toQueryString === 'function') {
-      right = right.toQueryString();
-    } else if (refUtils.isRef(right)) {
-      right = refUtils.getRelative(right);
-    } else if (_.isString(right) && right.indexOf(' ') >= 0) {
-      right = `"${right}"`;
-    }
-
-    return `(${left} ${this.op} ${right})`;
+    return `(${left} ${this.op} ${formatRight(this.op, this.right)})`;
   }
 
   and(left, op, right) {
-    return new Query(this, 'AND', (left instanceof Query) ? left : new Query(left, op, right));
+    return new Query(this, 'AND', isQuery(left) ? left : new Query(left, op, right));
   }
 
   or(left, op, right) {
-    return new Query(this, 'OR', (left instanceof Query) ? left : new Query(left, op, right));
+    return new Query(this, 'OR', isQuery(left) ? left : new Query(left, op, right));
+  }
+
+  /**
+   The negation of this query, using the opposite operators since WSAPI has no NOT:
+   = and !=, < and >=, > and <=, contains and !contains, in and !in.
+   between becomes a pair of comparisons and AND and OR are swapped (De Morgan).
+   @return {Query}
+   */
+  not() {
+    const op = _.isString(this.op) ? this.op.toLowerCase() : this.op;
+    if (op === 'and' || op === 'or') {
+      return new Query(toQuery(this.left).not(), op === 'and' ? 'OR' : 'AND', toQuery(this.right).not());
+    }
+    if (op === 'between') {
+      if (!_.isArray(this.right) || this.right.length !== 2) {
+        throw new TypeError('between requires an array of two values');
+      }
+      return new Query(new Query(this.left, '<', this.right[0]), 'OR', new Query(this.left, '>', this.right[1]));
+    }
+    if (!NEGATED_OPERATORS[op]) {
+      throw new TypeError(`${this.op} cannot be negated`);
+    }
+    return new Query(this.left, NEGATED_OPERATORS[op], this.right);
+  }
+
+  /**
+   The AST of this query, e.g. for JSON.stringify. Conditions are {attribute, operator, value},
+   AND and OR are {operator, children: [left, right]}. Values are strings, numbers, booleans, null,
+   arrays for in, !in and between, refs made relative, dates as ISO 8601 UTC strings and keywords like today-7 as {keyword}.
+   @return {object}
+   */
+  toJSON() {
+    const op = _.isString(this.op) ? this.op.toUpperCase() : this.op;
+    if (op === 'AND' || op === 'OR') {
+      return {
+        operator: op,
+        children: [toQuery(this.left).toJSON(), toQuery(this.right).toJSON()]
+      };
+    }
+    return {
+      attribute: this.left,
+      operator: this.op,
+      value: valueToJSON(this.right)
+    };
+  }
+
+  /**
+   Build a query from its AST, see toJSON. AND and OR nodes with more than two children become balanced trees.
+   @param {object|string} json - the AST, or its JSON string
+   @return {Query}
+   */
+  static fromJSON(json) {
+    const node = _.isString(json) ? JSON.parse(json) : json;
+    if (!_.isPlainObject(node) || !_.isString(node.operator)) {
+      throw new TypeError('A query node requires an operator');
+    }
+    const op = node.operator.toUpperCase();
+    if (op === 'AND' || op === 'OR') {
+      if (!_.isArray(node.children) || !node.children.length) {
+        throw new TypeError(`${node.operator} requires an array of children`);
+      }
+      return combine(node.children.map(child => Query.fromJSON(child)), op);
+    }
+    if (!_.isString(node.attribute) || !node.attribute) {
+      throw new TypeError(`${node.operator} requires an attribute`);
+    }
+    return new Query(node.attribute, node.operator, valueFromJSON(node.value));
+  }
+
+  /**
+   Negate a query
+   @param {Query} query
+   @return {Query}
+   */
+  static not(query) {
+    return toQuery(query).not();
+  }
+
+  /**
+   Combine queries with AND into a balanced tree, e.g. ((A AND B) AND (C AND D))
+   @param {Query[]} queries
+   @return {Query}
+   */
+  static all(queries) {
+    return combine(queries, 'AND');
+  }
+
+  /**
+   Combine queries with OR into a balanced tree, e.g. ((A OR B) OR (C OR D))
+   @param {Query[]} queries
+   @return {Query}
+   */
+  static any(queries) {
+    return combine(queries, 'OR');
   }
 }
 
 export function where(left, op, right) {
   return new Query(left, op, right);
 }
+
+export function parse(text) {
+  return Query.parse(text);
+}
+
+export function not(query) {
+  return Query.not(query);
+}
+
+export function all(queries) {
+  return Query.all(queries);
+}
+
+export function any(queries) {
+  return Query.any(queries);
+}
+
+export function fromJSON(json) {
+  return Query.fromJSON(json);
+}
+
+/**
+ A keyword evaluated by WSAPI, written to the query string as is
+ */
+export class QueryKeyword {
+  constructor(keyword) {
+    this.keyword = keyword;
+  }
+
+  toQueryString() {
+    return this.keyword;
+  }
+}
+
+/**
+ The current day, evaluated by WSAPI when the query runs
+ @param {int} days - the number of days to add, negative for the past (default=0)
+ @return {QueryKeyword} today, or e.g. today-7 or today+1
+ */
+export function today(days = 0) {
+  if (!_.isInteger(days)) {
+    throw new TypeError('days must be an integer');
+  }
+  return new QueryKeyword(days ? `today${days > 0 ? '+' : ''}${days}` : 'today');
+}
+
+/**
+ A query matching objects scheduled in the iteration in progress
+ @param {string} attribute - the iteration attribute (default=Iteration)
+ @return {Query} e.g. ((Iteration.StartDate <= today) AND (Iteration.EndDate >= today))
+ */
+export function currentIteration(attribute = 'Iteration') {
+  return where(`${attribute}.StartDate`, '<=', today()).and(`${attribute}.EndDate`, '>=', today());
+}
+
+/**
+ A query matching objects scheduled in the release in progress
+ @param {string} attribute - the release attribute (default=Release)
+ @return {Query} e.g. ((Release.ReleaseStartDate <= today) AND (Release.ReleaseDate >= today))
+ */
+export function currentRelease(attribute = 'Release') {
+  return where(`${attribute}.ReleaseStartDate`, '<=', today()).and(`${attribute}.ReleaseDate`, '>=', today());
+}
+
+// Recursive descent parser of the query grammar:
+// query := '(' (query ('AND' | 'OR') query | attribute operator value) ')'
+// where in and !in take a comma separated list of values and between takes two values separated by and
+class Parser {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  parse() {
+    const query = this.parseQuery();
+    this.skipWhitespace();
+    if (this.pos < this.text.length) {
+      this.fail(`Unexpected ${this.found()}`);
+    }
+    return query;
+  }
+
+  parseQuery() {
+    this.expect('(');
+    this.skipWhitespace();
+    let query;
+    if (this.text[this.pos] === '(') {
+      const left = this.parseQuery();
+      const op = this.parseKeyword(['AND', 'OR']);
+      query = new Query(left, op, this.parseQuery());
+    } else {
+      query = this.parseCondition();
+    }
+    this.expect(')');
+    return query;
+  }
+
+  parseCondition() {
+    const attribute = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*/.exec(this.text.slice(this.pos));
+    if (!attribute) {
+      this.fail(`Expected an attribute but found ${this.found()}`);
+    }
+    this.pos += attribute[0].length;
+
+    const op = this.parseOperator();
+    let right;
+    if (_.includes(LIST_OPERATORS, op)) {
+      right = [this.parseValue(true)];
+      while (this.skipWhitespace() === ',') {
+        this.pos++;
+        right.push(this.parseValue(true));
+      }
+    } else if (op === 'between') {
+      right = [this.parseValue()];
+      this.parseKeyword(['and']);
+      right.push(this.parseValue());
+    } else {
+      right = this.parseValue();
+    }
+    return new Query(attribute[0], op, right);
+  }
+
+  parseOperator() {
+    this.skipWhitespace();
+    const rest = this.text.slice(this.pos);
+    const comparison = _.find(COMPARISON_OPERATORS, op => _.startsWith(rest, op));
+    if (comparison) {
+      this.pos += comparison.length;
+      return comparison;
+    }
+    const word = /^!?[A-Za-z]+/.exec(rest);
+    if (word && _.includes(WORD_OPERATORS, word[0].toLowerCase())) {
+      this.pos += word[0].length;
+      return word[0].toLowerCase();
+    }
+    return this.fail(`Expected an operator but found ${word ? `'${word[0]}'` : this.found()}`);
+  }
+
+  parseKeyword(keywords) {
+    this.skipWhitespace();
+    const word = /^[A-Za-z]+/.exec(this.text.slice(this.pos));
+    const keyword = word && _.find(keywords, k => k.toLowerCase() === word[0].toLowerCase());
+    if (!keyword) {
+      this.fail(`Expected ${keywords.join(' or ')} but found ${word ? `'${word[0]}'` : this.found()}`);
+    }
+    this.pos += word[0].length;
+    return keyword;
+  }
+
+  parseValue(inList) {
+    this.skipWhitespace();
+    if (this.text[this.pos] === '"') {
+      return this.parseQuotedValue();
+    }
+    const start = this.pos;
+    const stop = inList ? /[\s),]/ : /[\s)]/;
+    while (this.pos < this.text.length && !stop.test(this.text[this.pos])) {
+      this.pos++;
+    }
+    if (this.pos === start) {
+      this.fail(`Expected a value but found ${this.found()}`);
+    }
+    const value = this.text.slice(start, this.pos);
+    if (value === 'null') {
+      return null;
+    }
+    if (value === 'true' || value === 'false') {
+      return value === 'true';
+    }
+    // Numbers which print back unchanged, so e.g. 007 or an ObjectID beyond double precision stays a string
+    if (/^-?\d+(\.\d+)?$/.test(value) && String(Number(value)) === value) {
+      return Number(value);
+    }
+    return value;
+  }
+
+  parseQuotedValue() {
+    const start = this.pos++;
+    let value = '';
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos++];
+      if (char === '"') {
+        return value;
+      }
+      if (char === '\\' && this.pos < this.text.length) {
+        value += this.text[this.pos++];
+      } else {
+        value += char;
+      }
+    }
+    return this.fail('Unterminated string', start);
+  }
+
+  expect(char) {
+    this.skipWhitespace();
+    if (this.text[this.pos] !== char) {
+      this.fail(`Expected '${char}' but found ${this.found()}`);
+    }
+    this.pos++;
+  }
+
+  // Returns the next character after any whitespace
+  skipWhitespace() {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+      this.pos++;
+    }
+    return this.text[this.pos];
+  }
+
+  found() {
+    return this.pos < this.text.length ? `'${this.text[this.pos]}'` : 'end of query';
+  }
+
+  fail(message, position = this.pos) {
+    throw new QuerySyntaxError([`${message} at position ${position}`], {position, query: this.text});
+  }
+}
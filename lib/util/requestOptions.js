@@ -0,0 +1,142 @@
+import _ from 'lodash';
+
+/**
+ @module RequestOptions
+
+ This module translates options written for the deprecated request library (https://github.com/request/request)
+ into their axios equivalents, so existing rally-node code keeps working unchanged
+ */
+
+// request options with no axios equivalent
+const UNSUPPORTED_OPTIONS = [
+  'aws',
+  'encoding',
+  'followAllRedirects',
+  'form',
+  'formData',
+  'har',
+  'hawk',
+  'httpSignature',
+  'multipart',
+  'oauth',
+  'pool',
+  'postambleCRLF',
+  'preambleCRLF',
+  'qsParseOptions',
+  'qsStringifyOptions',
+  'removeRefererHeader',
+  'time',
+  'tunnel',
+  'useQuerystring'
+];
+
+function translateAuth(auth, headers) {
+  if (auth.bearer) {
+    headers.Authorization = `Bearer ${_.isFunction(auth.bearer) ? auth.bearer() : auth.bearer}`;
+    return undefined;
+  }
+  const username = auth.username !== undefined ? auth.username : auth.user;
+  const password = auth.password !== undefined ? auth.password : auth.pass;
+  if (username === undefined && password === undefined) {
+    return undefined;
+  }
+  // axios always sends credentials preemptively, so sendImmediately has no equivalent
+  return {username: username || '', password: password || ''};
+}
+
+function translateProxy(proxy) {
+  if (!_.isString(proxy)) {
+    return proxy;
+  }
+  const url = new URL(proxy);
+  const protocol = url.protocol.replace(/:$/, '');
+  const translated = {
+    protocol,
+    host: url.hostname,
+    port: url.port ? parseInt(url.port, 10) : (protocol === 'https' ? 443 : 80)
+  };
+  if (url.username) {
+    translated.auth = {
+      username: decodeURIComponent(url.username),
+      password: decodeURIComponent(url.password)
+    };
+  }
+  return translated;
+}
+
+/**
+ Translate request library options into axios options.
+ Options which are already valid axios options are passed through untouched.
+ @param {object} options - the options to translate
+ - @member {object} auth - {user, pass, sendImmediately} or {bearer}, translated to axios auth or an Authorization header
+ - @member {string/object} proxy - a proxy url, translated to an axios proxy object
+ - @member {boolean} gzip - false to ask the server for an uncompressed response
+ - @member {boolean/object} json - an object is sent as the JSON body, true is the axios default
+ - @member {object} qs - translated to axios params
+ - @member {object} agentOptions - dropped along with strictSSL and forever, the agents are built once per client by createTransport
+ - @member {boolean} followRedirect - false to disable redirects
+ @param {function} warn - called with the name of each unsupported option (optional)
+ @return {object} the axios options
+ */
+export function translateRequestOptions(options, warn = _.noop) {
+  const translated = {};
+  const headers = {};
+
+  _.forOwn(options, (value, key) => {
+    switch (key) {
+      case 'auth': {
+        const auth = value && translateAuth(value, headers);
+        if (auth) {
+          translated.auth = auth;
+        }
+        break;
+      }
+      case 'proxy':
+        translated.proxy = translateProxy(value);
+        break;
+      case 'gzip':
+        if (value === false) {
+          headers['Accept-Encoding'] = 'identity';
+        }
+        break;
+      case 'json':
+        if (_.isObject(value)) {
+          translated.data = value;
+          headers['Content-Type'] = 'application/json';
+        }
+        break;
+      case 'qs':
+        translated.params = value;
+        break;
+      case 'body':
+        translated.data = value;
+        break;
+      case 'uri':
+        translated.url = value;
+        break;
+      case 'followRedirect':
+        if (value === false) {
+          translated.maxRedirects = 0;
+        }
+        break;
+      case 'jar':
+      case 'agentOptions':
+      case 'strictSSL':
+      case 'forever':
+      case 'headers':
+        // handled by Request
+        break;
+      default:
+        if (_.includes(UNSUPPORTED_OPTIONS, key)) {
+          warn(key);
+        } else {
+          translated[key] = value;
+        }
+    }
+  });
+
+  if (!_.isEmpty(headers) || (options && options.headers)) {
+    translated.headers = _.assign(headers, options.headers);
+  }
+  return translated;
+}
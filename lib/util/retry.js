@@ -0,0 +1,137 @@
+import _ from 'lodash';
+import { createAbortError, isAborted } from './abort.js';
+
+/**
+ @module Retry
+
+ This module contains the retry policy used by Request to recover from transient failures
+ (network errors, rate limiting and load balancer errors)
+ */
+
+export const defaultRetryOptions = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  methods: ['get'],
+  statusCodes: [408, 429, 502, 503, 504],
+  errorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN']
+};
+
+/**
+ Normalize a retry setting into a complete policy
+ @param {boolean|object} retry - false to disable retries, true for the defaults, or an object overriding the defaults
+ - @member {int} maxAttempts - total number of attempts, including the first one (default=3)
+ - @member {int} baseDelay - delay in ms before the first retry (default=500)
+ - @member {int} maxDelay - upper bound in ms for any single delay, including Retry-After (default=30000)
+ - @member {number} factor - exponential backoff factor (default=2)
+ - @member {boolean} jitter - randomize delays to avoid synchronized retries (default=true)
+ - @member {string[]} methods - http methods retried without an explicit per-call opt in (default=['get'])
+ - @member {int[]} statusCodes - http statuses considered transient
+ - @member {string[]} errorCodes - network error codes considered transient
+ @return {object}
+ */
+export function normalizeRetryOptions(retry) {
+  if (retry === false) {
+    return _.assign({}, defaultRetryOptions, {maxAttempts: 1});
+  }
+  const policy = _.assign({}, defaultRetryOptions, _.isObject(retry) ? retry : {});
+  policy.methods = policy.methods.map(method => method.toLowerCase());
+  return policy;
+}
+
+/**
+ Resolve the policy to apply to a single call
+ @param {object} policy - the normalized client policy
+ @param {string} method - the http method of the call
+ @param {boolean|object} callRetry - the per-call retry setting; true or an object opts mutating calls in
+ @return {object}
+ */
+export function resolveRetryPolicy(policy, method, callRetry) {
+  if (callRetry === false) {
+    return _.assign({}, policy, {maxAttempts: 1});
+  }
+  if (callRetry === true || _.isObject(callRetry)) {
+    return _.assign({}, policy, _.isObject(callRetry) ? callRetry : {}, {methods: [method.toLowerCase()]});
+  }
+  return policy;
+}
+
+/**
+ Whether a failed attempt should be retried
+ @param {object} policy - the resolved policy
+ @param {string} method - the http method of the call
+ @param {object} error - the error of the failed attempt, carrying status or code
+ @return {boolean}
+ */
+export function isRetryable(policy, method, error) {
+  if (!_.includes(policy.methods, method.toLowerCase())) {
+    return false;
+  }
+  if (error.status) {
+    return _.includes(policy.statusCodes, error.status);
+  }
+  return Boolean(error.code) && _.includes(policy.errorCodes, error.code);
+}
+
+/**
+ Parse a Retry-After header value
+ @param {string} value - either a number of seconds or an http date
+ @param {number} now - the current time in ms (default=Date.now())
+ @return {number} the delay in ms, or null if the value cannot be parsed
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ Compute the delay before the next attempt
+ @param {object} policy - the resolved policy
+ @param {int} attempt - the 1 based number of the attempt which just failed
+ @param {number} retryAfter - the delay in ms requested by the server, if any
+ @return {number}
+ */
+export function computeDelay(policy, attempt, retryAfter) {
+  if (retryAfter !== undefined && retryAfter !== null) {
+    return Math.min(retryAfter, policy.maxDelay);
+  }
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+  return policy.jitter ? Math.round(backoff / 2 + Math.random() * backoff / 2) : backoff;
+}
+
+/**
+ Wait before the next attempt
+ @param {number} ms - the delay
+ @param {AbortSignal} signal (optional) - rejects the wait early when aborted
+ @return {promise}
+ */
+export function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (isAborted(signal)) {
+      reject(createAbortError(signal));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError(signal));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, {once: true});
+    }
+  });
+}
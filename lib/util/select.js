@@ -0,0 +1,64 @@
+import _ from 'lodash';
+/**
+ @module Select
+
+ This module contains the client side transformation of query and get results:
+ selecting and renaming fields, flattening nested paths and converting values
+ */
+
+// Bookkeeping WSAPI adds to every object, dropped by any transformation
+const METADATA_FIELDS = ['_rallyAPIMajor', '_rallyAPIMinor', '_objectVersion', '_CreatedAt'];
+
+function stripMetadata(value) {
+  if (_.isArray(value)) {
+    return value.map(stripMetadata);
+  }
+  if (_.isPlainObject(value)) {
+    return _.mapValues(_.omit(value, METADATA_FIELDS), stripMetadata);
+  }
+  return value;
+}
+
+/**
+ Parse a select option
+ @param {string|string[]|object} select - fields, optionally renamed with as, e.g. ['FormattedID', 'Owner._refObjectName as owner'],
+ or an object of paths keyed by the field to return them as, e.g. {owner: 'Owner._refObjectName'}
+ @return {object[]} the fields: {path, alias}
+ */
+export function parseSelect(select) {
+  if (_.isPlainObject(select)) {
+    return _.map(select, (path, alias) => ({path, alias}));
+  }
+  return _.castArray(select).map((field) => {
+    const match = /^\s*(\S+)\s+as\s+(\S+)\s*$/i.exec(field);
+    return match ? {path: match[1], alias: match[2]} : {path: field.trim(), alias: field.trim()};
+  });
+}
+
+/**
+ Create the function transforming each object of a result
+ @param {object} options
+ - @member {string|string[]|object} select - the fields to keep, see parseSelect
+ - @member {object} map - converters keyed by the returned field: (value, object) => value, object being the untransformed object
+ @return {function} object => object, or null when neither select nor map is given
+ */
+export default function createProjection(options) {
+  if (!options.select && !options.map) {
+    return null;
+  }
+  const fields = options.select ? parseSelect(options.select) : null;
+
+  return (object) => {
+    if (!_.isPlainObject(object)) {
+      return object;
+    }
+    const selected = fields ?
+      _.fromPairs(fields.map(field => [field.alias, _.get(object, field.path)])) :
+      object;
+    const result = stripMetadata(selected);
+    _.each(options.map, (convert, field) => {
+      result[field] = convert(result[field], object);
+    });
+    return result;
+  };
+}
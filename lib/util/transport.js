@@ -0,0 +1,179 @@
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+import _ from 'lodash';
+
+/**
+ @module Transport
+
+ This module builds the proxy and agent configuration of the axios instance used by Request:
+ proxies (explicit or from the HTTPS_PROXY, HTTP_PROXY and NO_PROXY environment variables),
+ custom certificate authorities, client certificates and keep-alive
+ */
+
+// https.Agent options which may be given directly to createClient
+export const AGENT_OPTIONS = [
+  'ca',
+  'cert',
+  'key',
+  'passphrase',
+  'pfx',
+  'rejectUnauthorized',
+  'keepAlive',
+  'keepAliveMsecs',
+  'maxSockets',
+  'maxFreeSockets'
+];
+
+function getEnv(...names) {
+  const name = _.find(names, n => process.env[n]);
+  return name ? process.env[name] : undefined;
+}
+
+/**
+ Whether NO_PROXY excludes a url from proxying
+ @param {URL} url
+ @param {string} noProxy - comma or space separated hosts, optionally with a port; a leading dot or * matches sub domains
+ @return {boolean}
+ */
+export function isExcludedByNoProxy(url, noProxy) {
+  if (!noProxy) {
+    return false;
+  }
+  const hostname = url.hostname.toLowerCase();
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+  return _.some(noProxy.split(/[\s,]+/), (entry) => {
+    if (!entry) {
+      return false;
+    }
+    if (entry === '*') {
+      return true;
+    }
+    const [entryHost, entryPort] = entry.toLowerCase().split(':');
+    if (entryPort && entryPort !== port) {
+      return false;
+    }
+    const domain = entryHost.replace(/^\*?\./, '');
+    return hostname === domain || _.endsWith(hostname, `.${domain}`);
+  });
+}
+
+/**
+ Resolve the proxy to use for a server
+ @param {string} serverUrl - the url of the Rally server
+ @param {string|object|boolean} proxy - a proxy url, an axios proxy object, or false to disable proxying.
+ When undefined the HTTPS_PROXY (or HTTP_PROXY for http servers), ALL_PROXY and NO_PROXY environment variables are used.
+ @return {URL} the proxy url, or null
+ */
+export function resolveProxy(serverUrl, proxy) {
+  if (proxy === false || proxy === null) {
+    return null;
+  }
+  if (_.isObject(proxy)) {
+    const protocol = (proxy.protocol || 'http').replace(/:$/, '');
+    const url = new URL(`${protocol}://${proxy.host || proxy.hostname}${proxy.port ? `:${proxy.port}` : ''}`);
+    if (proxy.auth) {
+      url.username = encodeURIComponent(proxy.auth.username || '');
+      url.password = encodeURIComponent(proxy.auth.password || '');
+    }
+    return url;
+  }
+  if (_.isString(proxy) && proxy) {
+    return new URL(proxy);
+  }
+
+  const server = new URL(serverUrl);
+  const envProxy = server.protocol === 'https:' ?
+    getEnv('HTTPS_PROXY', 'https_proxy', 'ALL_PROXY', 'all_proxy') :
+    getEnv('HTTP_PROXY', 'http_proxy', 'ALL_PROXY', 'all_proxy');
+  if (!envProxy || isExcludedByNoProxy(server, getEnv('NO_PROXY', 'no_proxy'))) {
+    return null;
+  }
+  return new URL(envProxy.indexOf('://') >= 0 ? envProxy : `http://${envProxy}`);
+}
+
+function proxyAuthorization(proxy) {
+  if (!proxy.username) {
+    return undefined;
+  }
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return `Basic ${Buffer.from(credentials).toString('base64')}`;
+}
+
+/**
+ An https agent which tunnels each connection through a proxy with CONNECT,
+ so that certificate authorities and client certificates apply end to end
+ */
+export class TunnelingAgent extends https.Agent {
+  constructor(proxy, options) {
+    super(options);
+    this.proxy = proxy;
+  }
+
+  createConnection(options, callback) {
+    const target = `${options.host}:${options.port}`;
+    const headers = {host: target};
+    const authorization = proxyAuthorization(this.proxy);
+    if (authorization) {
+      headers['Proxy-Authorization'] = authorization;
+    }
+
+    const connectRequest = (this.proxy.protocol === 'https:' ? https : http).request({
+      host: this.proxy.hostname,
+      port: this.proxy.port || (this.proxy.protocol === 'https:' ? 443 : 80),
+      method: 'CONNECT',
+      path: target,
+      headers,
+      agent: false
+    });
+    connectRequest.once('connect', (response, socket) => {
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        callback(new Error(`Proxy ${this.proxy.host} refused to tunnel to ${target}: ${response.statusCode}`));
+        return;
+      }
+      callback(null, tls.connect(_.assign({}, options, {
+        socket,
+        servername: options.servername || options.host
+      })));
+    });
+    connectRequest.once('error', callback);
+    connectRequest.end();
+  }
+}
+
+/**
+ Build the axios proxy and agent configuration
+ @param {string} serverUrl - the url of the Rally server
+ @param {object} options
+ - @member {string|object|boolean} proxy - see resolveProxy
+ - @member {object} agentOptions - options for the http and https agents, e.g. ca, cert, key, rejectUnauthorized, keepAlive
+ @return {object} the axios proxy, httpAgent and httpsAgent options
+ */
+export function createTransport(serverUrl, options) {
+  const agentOptions = _.omitBy(options.agentOptions, _.isUndefined);
+  const proxy = resolveProxy(serverUrl, options.proxy);
+  const transport = {proxy: false};
+
+  if (proxy && new URL(serverUrl).protocol === 'https:') {
+    transport.httpsAgent = new TunnelingAgent(proxy, agentOptions);
+  } else if (proxy) {
+    transport.proxy = {
+      protocol: proxy.protocol.replace(/:$/, ''),
+      host: proxy.hostname,
+      port: proxy.port ? parseInt(proxy.port, 10) : (proxy.protocol === 'https:' ? 443 : 80)
+    };
+    if (proxy.username) {
+      transport.proxy.auth = {
+        username: decodeURIComponent(proxy.username),
+        password: decodeURIComponent(proxy.password)
+      };
+    }
+  }
+
+  if (!_.isEmpty(agentOptions)) {
+    transport.httpAgent = new http.Agent(agentOptions);
+    transport.httpsAgent = transport.httpsAgent || new https.Agent(agentOptions);
+  }
+  return transport;
+}
@@ -0,0 +1,48 @@
+import _ from 'lodash';
+import refUtils from './ref.js';
+/**
+ @module Type
+
+ This module contains utility methods for working with the results of polymorphic queries,
+ e.g. /artifact queries returning stories, defects, tasks and test cases at once
+ */
+
+/**
+ The concrete type of an object, from its _type or else its ref
+ @param {object} object
+ @return {string} the type as used in urls and the type option, e.g. hierarchicalrequirement, portfolioitem/feature
+ */
+function getType(object) {
+  const type = (object && object._type) || refUtils.getType(object);
+  return type ? type.toLowerCase() : null;
+}
+
+export default {
+  getType,
+
+  /**
+   Tag each object missing a _type with the type of its ref
+   @param {object[]} objects
+   @return {object[]} the same objects
+   */
+  tagTypes(objects) {
+    _.each(objects, (object) => {
+      if (object && !object._type) {
+        const type = refUtils.getType(object);
+        if (type) {
+          object._type = type;
+        }
+      }
+    });
+    return objects;
+  },
+
+  /**
+   Split objects by their concrete type
+   @param {object[]} objects - e.g. the Results of an /artifact query
+   @return {object} the objects keyed by type, e.g. {hierarchicalrequirement: [...], defect: [...]}
+   */
+  splitByType(objects) {
+    return _.groupBy(objects, getType);
+  }
+};
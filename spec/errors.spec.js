@@ -0,0 +1,62 @@
+import rally from '../lib/index.js';
+import {
+  AuthenticationError,
+  AuthorizationError,
+  ConcurrencyConflictError,
+  NotFoundError,
+  RallyError,
+  RateLimitError,
+  ServerError,
+  ValidationError,
+  errorClassForMessages,
+  errorClassForStatus
+} from '../lib/errors.js';
+
+describe('Errors', () => {
+
+  describe('RallyError', () => {
+
+    it('should keep the errors array and details', () => {
+      const error = new NotFoundError(['/defect/1: 404! Not Found'], {status: 404, method: 'GET', url: '/defect/1'});
+      error.should.be.an.instanceOf(RallyError);
+      error.should.be.an.instanceOf(Error);
+      error.name.should.eql('NotFoundError');
+      error.message.should.eql('/defect/1: 404! Not Found');
+      error.errors.should.eql(['/defect/1: 404! Not Found']);
+      error.status.should.eql(404);
+      error.Errors.should.eql([]);
+      error.Warnings.should.eql([]);
+    });
+
+    it('should be exported by the client', () => {
+      rally.errors.RallyError.should.be.exactly(RallyError);
+      rally.errors.ConcurrencyConflictError.should.be.exactly(ConcurrencyConflictError);
+    });
+  });
+
+  describe('#errorClassForStatus', () => {
+
+    it('should map http statuses', () => {
+      errorClassForStatus(400).should.be.exactly(ValidationError);
+      errorClassForStatus(401).should.be.exactly(AuthenticationError);
+      errorClassForStatus(403).should.be.exactly(AuthorizationError);
+      errorClassForStatus(404).should.be.exactly(NotFoundError);
+      errorClassForStatus(409).should.be.exactly(ConcurrencyConflictError);
+      errorClassForStatus(429).should.be.exactly(RateLimitError);
+      errorClassForStatus(503).should.be.exactly(ServerError);
+      errorClassForStatus(418).should.be.exactly(RallyError);
+    });
+  });
+
+  describe('#errorClassForMessages', () => {
+
+    it('should map WSAPI errors', () => {
+      errorClassForMessages(['Concurrency conflict: [Object has been modified since being read for update in this context]'])
+        .should.be.exactly(ConcurrencyConflictError);
+      errorClassForMessages(['Not authorized to perform action: Invalid key']).should.be.exactly(AuthenticationError);
+      errorClassForMessages(['Not authorized to perform action']).should.be.exactly(AuthorizationError);
+      errorClassForMessages(['Cannot find object to read']).should.be.exactly(NotFoundError);
+      errorClassForMessages(['Validation error: Defect.Name should not be null']).should.be.exactly(ValidationError);
+    });
+  });
+});
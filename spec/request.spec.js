@@ -1,4 +1,12 @@
 import Request from '../lib/request.js';
+import {
+  AbortError,
+  ConcurrencyConflictError,
+  NetworkError,
+  NotFoundError,
+  RateLimitError,
+  TimeoutError
+} from '../lib/errors.js';
 import axios from 'axios';
 import sinon from 'sinon';
 import _ from 'lodash';
@@ -49,6 +57,588 @@ describe('Request', () => {
       axiosConfig.timeout.should.eql(5000);
       axiosConfig.headers['Custom-Header'].should.eql('value');
     });
+
+    it('should translate legacy request options', () => {
+      createRequest({
+        requestOptions: {
+          json: true,
+          gzip: true,
+          auth: {user: 'user', pass: 'pass', sendImmediately: false}
+        }
+      });
+      const axiosConfig = axiosStub.firstCall.args[0];
+      axiosConfig.auth.should.eql({username: 'user', password: 'pass'});
+      axiosConfig.should.not.have.properties('json', 'gzip');
+    });
+
+    it('should apply proxy and tls options to the axios instance', () => {
+      createRequest({
+        proxy: 'http://proxy.acme.com:3128',
+        ca: 'my ca',
+        rejectUnauthorized: false,
+        requestOptions: {agentOptions: {maxSockets: 4}}
+      });
+      const axiosConfig = axiosStub.firstCall.args[0];
+      axiosConfig.proxy.should.eql(false);
+      axiosConfig.httpsAgent.proxy.hostname.should.eql('proxy.acme.com');
+      axiosConfig.httpsAgent.options.ca.should.eql('my ca');
+      axiosConfig.httpsAgent.options.rejectUnauthorized.should.eql(false);
+      axiosConfig.httpsAgent.maxSockets.should.eql(4);
+    });
+
+    it('should keep the client agents and warn about per request agent options', async () => {
+      const logger = {debug: sinon.stub(), info: sinon.stub(), warn: sinon.stub(), error: sinon.stub()};
+      const rr = createRequest({logger});
+      mockAxiosInstance.resolves({data: {QueryResult: {Errors: [], Warnings: []}}});
+      await rr.get({url: '/defect', forever: true, agentOptions: {maxSockets: 2}});
+      await rr.get({url: '/defect', forever: true});
+      mockAxiosInstance.firstCall.args[0].should.not.have.properties('httpAgent', 'httpsAgent', 'forever', 'agentOptions');
+      logger.warn.args.map(args => args[0].option).should.eql(['agentOptions', 'forever']);
+    });
+
+    it('should merge the default query string into each request', async () => {
+      const rr = createRequest({requestOptions: {qs: {workspace: '/workspace/1'}}});
+      axiosStub.firstCall.args[0].should.not.have.property('params');
+      mockAxiosInstance.resolves({data: {QueryResult: {Errors: [], Warnings: []}}});
+      await rr.get({url: '/defect', qs: {fetch: 'Name'}});
+      mockAxiosInstance.firstCall.args[0].params.should.eql({workspace: '/workspace/1', fetch: 'Name'});
+    });
+  });
+
+  describe('#doRequest retries', () => {
+    const retry = {baseDelay: 0, jitter: false};
+    const httpError = (status, headers) => {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = {status, statusText: 'Error', headers: headers || {}};
+      return error;
+    };
+    const networkError = (code) => {
+      const error = new Error(code);
+      error.code = code;
+      error.request = {};
+      return error;
+    };
+    const success = {data: {QueryResult: {Errors: [], Warnings: [], Results: []}}};
+
+    it('retries a get on a transient status and resolves', async () => {
+      const rr = createRequest({retry});
+      mockAxiosInstance.onCall(0).rejects(httpError(503));
+      mockAxiosInstance.onCall(1).rejects(networkError('ECONNRESET'));
+      mockAxiosInstance.onCall(2).resolves(success);
+      const result = await rr.get({url: '/defect'});
+      mockAxiosInstance.callCount.should.eql(3);
+      result.should.eql(success.data.QueryResult);
+    });
+
+    it('rejects with the attempt count and last status once exhausted', async () => {
+      const rr = createRequest({retry: {baseDelay: 0, jitter: false, maxAttempts: 2}});
+      mockAxiosInstance.rejects(httpError(502));
+      try {
+        await rr.get({url: '/defect'});
+        fail('promise should be rejected');
+      } catch (err) {
+        mockAxiosInstance.callCount.should.eql(2);
+        err.attempts.should.eql(2);
+        err.status.should.eql(502);
+        err.errors.should.eql(['/defect: 502! Error']);
+      }
+    });
+
+    it('does not retry non transient statuses', async () => {
+      const rr = createRequest({retry});
+      mockAxiosInstance.rejects(httpError(401));
+      try {
+        await rr.get({url: '/defect'});
+        fail('promise should be rejected');
+      } catch (err) {
+        mockAxiosInstance.callCount.should.eql(1);
+        err.attempts.should.eql(1);
+      }
+    });
+
+    it('does not retry mutating requests by default', async () => {
+      const rr = createRequest({retry});
+      mockAxiosInstance.rejects(httpError(503));
+      try {
+        await rr.doRequest('post', {url: '/defect/create'});
+        fail('promise should be rejected');
+      } catch (err) {
+        mockAxiosInstance.callCount.should.eql(1);
+        err.attempts.should.eql(1);
+      }
+    });
+
+    it('retries mutating requests when opted in per call', async () => {
+      const rr = createRequest({retry});
+      mockAxiosInstance.onCall(0).rejects(httpError(429));
+      mockAxiosInstance.onCall(1).resolves(success);
+      await rr.doRequest('post', {url: '/defect/create', retry: true});
+      mockAxiosInstance.callCount.should.eql(2);
+      (mockAxiosInstance.firstCall.args[0].retry === undefined).should.eql(true);
+    });
+
+    it('retries mutating requests when opted in on the client', async () => {
+      const rr = createRequest({retry: {baseDelay: 0, jitter: false, methods: ['get', 'put']}});
+      mockAxiosInstance.onCall(0).rejects(httpError(503));
+      mockAxiosInstance.onCall(1).resolves(success);
+      await rr.doRequest('put', {url: '/defect/1'});
+      mockAxiosInstance.callCount.should.eql(2);
+    });
+
+    it('does not retry when disabled', async () => {
+      const rr = createRequest({retry: false});
+      mockAxiosInstance.rejects(httpError(503));
+      try {
+        await rr.get({url: '/defect'});
+        fail('promise should be rejected');
+      } catch (err) {
+        mockAxiosInstance.callCount.should.eql(1);
+        err.attempts.should.eql(1);
+      }
+    });
+
+    it('honors Retry-After', async () => {
+      const clock = sinon.useFakeTimers();
+      try {
+        const rr = createRequest({retry});
+        mockAxiosInstance.onCall(0).rejects(httpError(429, {'retry-after': '2'}));
+        mockAxiosInstance.onCall(1).resolves(success);
+        const promise = rr.get({url: '/defect'});
+        await clock.tickAsync(1999);
+        mockAxiosInstance.callCount.should.eql(1);
+        await clock.tickAsync(1);
+        await promise;
+        mockAxiosInstance.callCount.should.eql(2);
+      } finally {
+        clock.restore();
+      }
+    });
+  });
+
+  describe('#doSecuredRequest token lifecycle', () => {
+    const operationResult = {data: {OperationResult: {Errors: [], Warnings: [], Object: {}}}};
+    const invalidKey = {data: {OperationResult: {Errors: ['Not authorized to perform action: Invalid key'], Warnings: []}}};
+    let tokens;
+
+    beforeEach(() => {
+      tokens = ['token1', 'token2'];
+    });
+
+    const authorize = () => Promise.resolve({data: {OperationResult: {Errors: [], Warnings: [], SecurityToken: tokens.shift()}}});
+    const authorizeCalls = () => mockAxiosInstance.getCalls().filter(call => call.args[0].url === '/security/authorize');
+    const securedCalls = () => mockAxiosInstance.getCalls().filter(call => call.args[0].url !== '/security/authorize');
+
+    it('shares a single authorize request between concurrent callers', async () => {
+      const rr = createRequest();
+      mockAxiosInstance.callsFake(options => (options.url === '/security/authorize' ? authorize() : Promise.resolve(operationResult)));
+      await Promise.all([
+        rr.post({url: '/defect/create'}),
+        rr.post({url: '/defect/create'}),
+        rr.put({url: '/defect/1'})
+      ]);
+      authorizeCalls().length.should.eql(1);
+      securedCalls().forEach(call => call.args[0].params.key.should.eql('token1'));
+    });
+
+    it('re-authorizes and replays once when the token is rejected', async () => {
+      const rr = createRequest();
+      mockAxiosInstance.callsFake((options) => {
+        if (options.url === '/security/authorize') {
+          return authorize();
+        }
+        return Promise.resolve(options.params.key === 'token1' ? invalidKey : operationResult);
+      });
+      const result = await rr.post({url: '/defect/create'});
+      result.should.eql(operationResult.data.OperationResult);
+      authorizeCalls().length.should.eql(2);
+      securedCalls().map(call => call.args[0].params.key).should.eql(['token1', 'token2']);
+    });
+
+    it('does not replay more than once', async () => {
+      const rr = createRequest();
+      mockAxiosInstance.callsFake(options => (options.url === '/security/authorize' ? authorize() : Promise.resolve(invalidKey)));
+      try {
+        await rr.post({url: '/defect/create'});
+        fail('promise should be rejected');
+      } catch (err) {
+        err.errors.should.eql(invalidKey.data.OperationResult.Errors);
+        securedCalls().length.should.eql(2);
+      }
+    });
+
+    it('does not replay other errors', async () => {
+      const rr = createRequest();
+      const validationError = {data: {OperationResult: {Errors: ['Could not set value'], Warnings: []}}};
+      mockAxiosInstance.callsFake(options => (options.url === '/security/authorize' ? authorize() : Promise.resolve(validationError)));
+      try {
+        await rr.post({url: '/defect/create'});
+        fail('promise should be rejected');
+      } catch (err) {
+        err.errors.should.eql(['Could not set value']);
+        authorizeCalls().length.should.eql(1);
+      }
+    });
+
+    it('re-authorizes after invalidateToken', async () => {
+      const rr = createRequest();
+      mockAxiosInstance.callsFake(options => (options.url === '/security/authorize' ? authorize() : Promise.resolve(operationResult)));
+      await rr.post({url: '/defect/create'});
+      rr.invalidateToken();
+      await rr.post({url: '/defect/create'});
+      authorizeCalls().length.should.eql(2);
+      securedCalls()[1].args[0].params.key.should.eql('token2');
+    });
+
+    it('does not authorize when an api key is specified', async () => {
+      const rr = createRequest({requestOptions: {headers: {zsessionid: 'key'}}});
+      mockAxiosInstance.resolves(operationResult);
+      await rr.post({url: '/defect/create'});
+      authorizeCalls().length.should.eql(0);
+    });
+  });
+
+  describe('cookies', () => {
+    const result = {Errors: [], Warnings: [], Results: []};
+
+    it('captures Set-Cookie headers and replays them', async () => {
+      const rr = createRequest();
+      mockAxiosInstance.onCall(0).resolves({headers: {'set-cookie': ['JSESSIONID=abc; Path=/slm']}, data: {QueryResult: result}});
+      mockAxiosInstance.onCall(1).resolves({headers: {}, data: {QueryResult: result}});
+      await rr.get({url: '/defect'});
+      await rr.get({url: '/defect'});
+      (mockAxiosInstance.firstCall.args[0].headers === undefined).should.eql(true);
+      mockAxiosInstance.secondCall.args[0].headers.Cookie.should.eql('JSESSIONID=abc');
+      rr.getCookies().map(cookie => cookie.name).should.eql(['JSESSIONID']);
+      rr.getCookies()[0].domain.should.eql('rally1.rallydev.com');
+    });
+
+    it('captures cookies from error responses', async () => {
+      const rr = createRequest({retry: false});
+      const error = new Error('Unauthorized');
+      error.response = {status: 401, statusText: 'Unauthorized', headers: {'set-cookie': ['ZSESSIONID=def; Path=/']}};
+      mockAxiosInstance.rejects(error);
+      try {
+        await rr.get({url: '/defect'});
+        fail('promise should be rejected');
+      } catch (err) {
+        err.status.should.eql(401);
+        rr.getCookies().map(cookie => cookie.name).should.eql(['ZSESSIONID']);
+      }
+    });
+
+    it('rejects with the response error when the cookie file cannot be written', async () => {
+      const logger = {debug: sinon.stub(), info: sinon.stub(), warn: sinon.stub(), error: sinon.stub()};
+      const rr = createRequest({retry: false, logger, cookieJar: '/nonexistent-dir/cookies.json'});
+      const error = new Error('Unauthorized');
+      error.response = {status: 401, statusText: 'Unauthorized', headers: {'set-cookie': ['ZSESSIONID=def; Path=/']}};
+      mockAxiosInstance.rejects(error);
+      try {
+        await rr.get({url: '/defect'});
+        fail('promise should be rejected');
+      } catch (err) {
+        err.status.should.eql(401);
+        logger.warn.callCount.should.eql(1);
+        logger.warn.firstCall.args[0].file.should.eql('/nonexistent-dir/cookies.json');
+      }
+    });
+
+    it('does not keep cookies when an api key is specified', async () => {
+      const rr = createRequest({requestOptions: {headers: {zsessionid: 'key'}}});
+      mockAxiosInstance.resolves({headers: {'set-cookie': ['JSESSIONID=abc; Path=/slm']}, data: {QueryResult: result}});
+      await rr.get({url: '/defect'});
+      rr.getCookies().should.eql([]);
+    });
+
+    it('does not keep cookies when disabled', async () => {
+      const rr = createRequest({cookieJar: false});
+      mockAxiosInstance.resolves({headers: {'set-cookie': ['JSESSIONID=abc; Path=/slm']}, data: {QueryResult: result}});
+      await rr.get({url: '/defect'});
+      rr.getCookies().should.eql([]);
+    });
+
+    it('does not pass the legacy jar option to axios', () => {
+      createRequest({requestOptions: {jar: false}});
+      axiosStub.firstCall.args[0].should.not.have.property('jar');
+    });
+  });
+
+  describe('cancellation', () => {
+
+    it('rejects without a request when already aborted', async () => {
+      const rr = createRequest();
+      const controller = new AbortController();
+      controller.abort();
+      try {
+        await rr.get({url: '/defect', signal: controller.signal});
+        fail('promise should be rejected');
+      } catch (err) {
+        err.name.should.eql('AbortError');
+        err.aborted.should.eql(true);
+        mockAxiosInstance.callCount.should.eql(0);
+      }
+    });
+
+    it('passes the signal and timeout to axios and recognizes cancellations', async () => {
+      const rr = createRequest();
+      const controller = new AbortController();
+      mockAxiosInstance.callsFake(() => {
+        controller.abort();
+        return Promise.reject(new axios.CanceledError('canceled'));
+      });
+      try {
+        await rr.get({url: '/defect', signal: controller.signal, timeout: 1000});
+        fail('promise should be rejected');
+      } catch (err) {
+        err.code.should.eql('ABORT_ERR');
+        err.attempts.should.eql(1);
+        mockAxiosInstance.firstCall.args[0].signal.should.be.exactly(controller.signal);
+        mockAxiosInstance.firstCall.args[0].timeout.should.eql(1000);
+      }
+    });
+
+    it('rejects with a timeout error without retrying once the timeout elapses', async () => {
+      const rr = createRequest({retry: {baseDelay: 0, jitter: false}});
+      const error = new Error('timeout of 1000ms exceeded');
+      error.code = 'ECONNABORTED';
+      error.request = {};
+      mockAxiosInstance.rejects(error);
+      try {
+        await rr.get({url: '/defect', timeout: 1000});
+        fail('promise should be rejected');
+      } catch (err) {
+        err.should.be.an.instanceOf(TimeoutError);
+        err.code.should.eql('ETIMEDOUT');
+        err.timeout.should.eql(1000);
+        err.attempts.should.eql(1);
+        mockAxiosInstance.callCount.should.eql(1);
+      }
+    });
+
+    it('retries a request running out of the client default timeout', async () => {
+      const rr = createRequest({retry: {baseDelay: 0, jitter: false}});
+      const error = new Error('timeout of 30000ms exceeded');
+      error.code = 'ECONNABORTED';
+      error.request = {};
+      mockAxiosInstance.onCall(0).rejects(error);
+      mockAxiosInstance.onCall(1).resolves({data: {QueryResult: {Errors: [], Warnings: [], Results: []}}});
+      await rr.get({url: '/defect'});
+      mockAxiosInstance.callCount.should.eql(2);
+    });
+
+    it('reports the client default timeout once the attempts are exhausted', async () => {
+      const rr = createRequest({retry: {baseDelay: 0, jitter: false, maxAttempts: 2}});
+      const error = new Error('timeout of 30000ms exceeded');
+      error.code = 'ECONNABORTED';
+      error.request = {};
+      mockAxiosInstance.rejects(error);
+      try {
+        await rr.get({url: '/defect'});
+        fail('promise should be rejected');
+      } catch (err) {
+        err.should.be.an.instanceOf(TimeoutError);
+        err.timeout.should.eql(30000);
+        err.attempts.should.eql(2);
+      }
+    });
+
+    it('stops retrying when aborted during the backoff', async () => {
+      const rr = createRequest({retry: {baseDelay: 60000, jitter: false}});
+      const controller = new AbortController();
+      const error = new Error('Service Unavailable');
+      error.response = {status: 503, statusText: 'Service Unavailable', headers: {}};
+      mockAxiosInstance.callsFake(() => {
+        setTimeout(() => controller.abort(), 0);
+        return Promise.reject(error);
+      });
+      try {
+        await rr.get({url: '/defect', signal: controller.signal});
+        fail('promise should be rejected');
+      } catch (err) {
+        err.name.should.eql('AbortError');
+        mockAxiosInstance.callCount.should.eql(1);
+      }
+    });
+  });
+
+  describe('errors', () => {
+
+    it('rejects with a typed error for an http error status', async () => {
+      const rr = createRequest();
+      const error = new Error('Not Found');
+      error.response = {
+        status: 404,
+        statusText: 'Not Found',
+        headers: {},
+        data: {OperationResult: {Errors: ['Cannot find object to read'], Warnings: ['Deprecated']}}
+      };
+      mockAxiosInstance.rejects(error);
+      try {
+        await rr.get({url: '/defect/1'});
+        fail('promise should be rejected');
+      } catch (err) {
+        err.should.be.an.instanceOf(NotFoundError);
+        err.errors.should.eql(['/defect/1: 404! Not Found']);
+        err.status.should.eql(404);
+        err.method.should.eql('GET');
+        err.url.should.eql(rr.wsapiUrl + '/defect/1');
+        err.Errors.should.eql(['Cannot find object to read']);
+        err.Warnings.should.eql(['Deprecated']);
+        err.body.should.be.exactly(error.response.data);
+      }
+    });
+
+    it('rejects with a typed error for WSAPI errors', async () => {
+      const rr = createRequest({requestOptions: {headers: {zsessionid: 'key'}}});
+      const data = {OperationResult: {Errors: ['Concurrency conflict: [Object has been modified]'], Warnings: []}};
+      mockAxiosInstance.resolves({status: 200, data});
+      try {
+        await rr.put({url: '/defect/1'});
+        fail('promise should be rejected');
+      } catch (err) {
+        err.should.be.an.instanceOf(ConcurrencyConflictError);
+        err.errors.should.eql(data.OperationResult.Errors);
+        err.Errors.should.eql(data.OperationResult.Errors);
+        err.method.should.eql('PUT');
+        err.status.should.eql(200);
+      }
+    });
+
+    it('rejects with a rate limit error carrying Retry-After', async () => {
+      const rr = createRequest({retry: false});
+      const error = new Error('Too Many Requests');
+      error.response = {status: 429, statusText: 'Too Many Requests', headers: {'retry-after': '5'}};
+      mockAxiosInstance.rejects(error);
+      try {
+        await rr.get({url: '/defect'});
+        fail('promise should be rejected');
+      } catch (err) {
+        err.should.be.an.instanceOf(RateLimitError);
+        err.retryAfter.should.eql(5000);
+      }
+    });
+
+    it('rejects with a network error', async () => {
+      const rr = createRequest({retry: false});
+      const error = new Error('connect ECONNREFUSED');
+      error.code = 'ECONNREFUSED';
+      error.request = {};
+      mockAxiosInstance.rejects(error);
+      try {
+        await rr.get({url: '/defect'});
+        fail('promise should be rejected');
+      } catch (err) {
+        err.should.be.an.instanceOf(NetworkError);
+        err.code.should.eql('ECONNREFUSED');
+        err.errors.should.eql(['Unable to connect to server: ' + rr.wsapiUrl]);
+      }
+    });
+
+    it('rejects with an abort error', async () => {
+      const rr = createRequest();
+      const controller = new AbortController();
+      controller.abort();
+      try {
+        await rr.get({url: '/defect', signal: controller.signal});
+        fail('promise should be rejected');
+      } catch (err) {
+        err.should.be.an.instanceOf(AbortError);
+      }
+    });
+  });
+
+  describe('rate limiting', () => {
+    const success = {data: {OperationResult: {Errors: [], Warnings: []}}};
+
+    it('queues requests over the concurrency budget of reads and writes separately', async () => {
+      const rr = createRequest({
+        requestOptions: {headers: {zsessionid: 'key'}},
+        rateLimit: {maxConcurrent: 1, write: {maxConcurrent: 2}}
+      });
+      const pending = [];
+      mockAxiosInstance.callsFake(() => new Promise(resolve => pending.push(() => resolve(success))));
+      const promises = [
+        rr.get({url: '/defect/1'}),
+        rr.get({url: '/defect/2'}),
+        rr.put({url: '/defect/1'}),
+        rr.put({url: '/defect/2'}),
+        rr.put({url: '/defect/3'})
+      ];
+      rr.getQueueStats().should.eql({
+        read: {queued: 1, running: 1},
+        write: {queued: 1, running: 2}
+      });
+      while (pending.length) {
+        pending.shift()();
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+      await Promise.all(promises);
+      mockAxiosInstance.callCount.should.eql(5);
+      rr.getQueueStats().should.eql({
+        read: {queued: 0, running: 0},
+        write: {queued: 0, running: 0}
+      });
+    });
+  });
+
+  describe('logging', () => {
+    let logger;
+
+    beforeEach(() => {
+      logger = {debug: sinon.stub(), info: sinon.stub(), warn: sinon.stub(), error: sinon.stub()};
+    });
+
+    it('logs each request with its page, timing and result counts', async () => {
+      const rr = createRequest({logger, logLevel: 'debug'});
+      mockAxiosInstance.resolves({status: 200, data: {QueryResult: {Errors: [], Warnings: [], TotalResultCount: 10, Results: [1, 2]}}});
+      await rr.get({url: '/defect', qs: {start: 3, pagesize: 2}});
+      logger.debug.callCount.should.eql(2);
+      const request = logger.debug.firstCall.args[0];
+      request.msg.should.eql('request');
+      request.method.should.eql('GET');
+      request.url.should.eql(rr.wsapiUrl + '/defect');
+      request.page.should.eql(2);
+      const response = logger.debug.secondCall.args[0];
+      response.msg.should.eql('response');
+      response.duration.should.be.a.Number();
+      response.resultCount.should.eql(2);
+      response.totalResultCount.should.eql(10);
+    });
+
+    it('redacts the security token and credentials', async () => {
+      const rr = createRequest({logger, logLevel: 'debug'});
+      mockAxiosInstance.callsFake(options => Promise.resolve({
+        status: 200,
+        data: {OperationResult: {Errors: [], Warnings: [], SecurityToken: options.url === '/security/authorize' ? 'token' : undefined}}
+      }));
+      await rr.post({url: '/defect/create', headers: {zsessionid: 'api key'}});
+      const entries = JSON.stringify(logger.debug.args);
+      entries.should.not.match(/token"|api key/);
+      entries.should.match(/\[REDACTED\]/);
+    });
+
+    it('logs failures and retries', async () => {
+      const rr = createRequest({logger, logLevel: 'debug', retry: {maxAttempts: 2, baseDelay: 0, jitter: false}});
+      const error = new Error('Service Unavailable');
+      error.response = {status: 503, statusText: 'Service Unavailable', headers: {}};
+      mockAxiosInstance.rejects(error);
+      try {
+        await rr.get({url: '/defect'});
+        fail('promise should be rejected');
+      } catch (err) {
+        logger.info.callCount.should.eql(1);
+        logger.info.firstCall.args[0].msg.should.eql('retrying request');
+        logger.info.firstCall.args[0].status.should.eql(503);
+        const failure = logger.debug.lastCall.args[0];
+        failure.msg.should.eql('request failed');
+        failure.error.should.eql(err.name);
+      }
+    });
+
+    it('warns about unsupported legacy options through the logger', () => {
+      createRequest({logger, requestOptions: {oauth: {}}});
+      logger.warn.callCount.should.eql(1);
+      logger.warn.firstCall.args[0].option.should.eql('oauth');
+    });
   });
 
   // TODO: Update these tests to work with axios instead of request library
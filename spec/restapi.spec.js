@@ -3,6 +3,9 @@ import RestApi from '../lib/restapi.js';
 import * as Request from '../lib/request.js';
 import { where } from '../lib/util/query.js';
 import sinon from 'sinon';
+import _ from 'lodash';
+import { Writable } from 'stream';
+import { pipeline } from 'stream/promises';
 import packageJson from '../package.json' with { type: 'json' };
 
 describe('RestApi', () => {
@@ -118,6 +121,128 @@ describe('RestApi', () => {
     });
   });
 
+  describe('#invalidateToken', () => {
+
+    it('invalidates the security token of the request', () => {
+      const invalidateToken = sinon.spy(Request.default.prototype, 'invalidateToken');
+      try {
+        new RestApi().invalidateToken();
+        invalidateToken.callCount.should.eql(1);
+      } finally {
+        invalidateToken.restore();
+      }
+    });
+  });
+
+  describe('#use', () => {
+
+    it('rejects non function middleware', () => {
+      (() => new RestApi().use('nope')).should.throw(TypeError);
+    });
+
+    it('runs middleware in order around each request', async () => {
+      const restApi = new RestApi();
+      const calls = [];
+      restApi
+        .use(async (context, next) => {
+          calls.push(`first ${context.method} ${context.url}`);
+          const result = await next();
+          calls.push('first done');
+          return result;
+        })
+        .use((context, next) => {
+          calls.push('second');
+          return next();
+        });
+      await restApi.create({type: 'defect', data: {Name: 'A defect'}});
+      calls.should.eql(['first post /defect/create', 'second', 'first done']);
+    });
+
+    it('exposes and applies changes to the url, query string, body and options', async () => {
+      const restApi = new RestApi();
+      restApi.use((context, next) => {
+        context.body.defect.should.eql({Name: 'A defect'});
+        context.qs.fetch.should.eql('FormattedID');
+        context.url = '/defect/create';
+        context.qs = _.assign({}, context.qs, {tenant: 'acme'});
+        context.body = {defect: {Name: 'Signed'}};
+        context.options.headers = {'X-Signature': 'abc'};
+        return next();
+      });
+      const callback = sinon.stub();
+      await restApi.create({type: 'defect', data: {Name: 'A defect'}, fetch: ['FormattedID']}, callback);
+      const args = post.firstCall.args;
+      args[0].url.should.eql('/defect/create');
+      args[0].qs.should.eql({fetch: 'FormattedID', tenant: 'acme'});
+      args[0].json.should.eql({defect: {Name: 'Signed'}});
+      args[0].headers.should.eql({'X-Signature': 'abc'});
+      callback.callCount.should.eql(1);
+    });
+
+    it('transforms results', async () => {
+      get.returns(Promise.resolve({Errors: [], Warnings: [], Name: 'Foo'}));
+      const restApi = new RestApi();
+      restApi.use(async (context, next) => {
+        const result = await next();
+        context.result.should.be.exactly(result);
+        return _.assign({}, result, {Name: result.Name.toUpperCase()});
+      });
+      const result = await restApi.get({ref: '/defect/1234'});
+      result.Object.should.eql({Name: 'FOO'});
+    });
+
+    it('short-circuits requests', async () => {
+      const restApi = new RestApi();
+      restApi.use(() => ({Errors: [], Warnings: [], Name: 'Cached'}));
+      const result = await restApi.get({ref: '/defect/1234'});
+      get.callCount.should.eql(0);
+      result.Object.should.eql({Name: 'Cached'});
+    });
+
+    it('runs for every page of a query', async () => {
+      get.callsFake(options => Promise.resolve({
+        Errors: [],
+        Warnings: [],
+        StartIndex: options.qs.start,
+        TotalResultCount: 6,
+        Results: [options.qs.start, options.qs.start + 1]
+      }));
+      const restApi = new RestApi();
+      const starts = [];
+      restApi.use((context, next) => {
+        starts.push(context.qs.start);
+        return next();
+      });
+      await restApi.query({type: 'defect', pageSize: 2});
+      await restApi.queryStream({type: 'defect', pageSize: 2}, () => true);
+      starts.should.eql([1, 3, 5, 1, 3, 5]);
+    });
+
+    it('propagates errors', async () => {
+      const restApi = new RestApi();
+      restApi.use(() => {
+        throw new Error('Denied');
+      });
+      try {
+        await restApi.del({ref: '/defect/1234'});
+        fail('promise should be rejected');
+      } catch (err) {
+        err.message.should.eql('Denied');
+        del.callCount.should.eql(0);
+      }
+    });
+  });
+
+  describe('#getQueueStats', () => {
+
+    it('returns the queue depth of the request', () => {
+      new RestApi({rateLimit: {maxConcurrent: 5}}).getQueueStats().should.eql({
+        read: {queued: 0, running: 0},
+        write: {queued: 0, running: 0}
+      });
+    });
+  });
+
   describe('#create', () => {
 
     it('translates request options', async ( ) => {
@@ -574,6 +699,849 @@ describe('RestApi', () => {
       });
     });
 
+    describe('parallelPages', () => {
+      const results = _.range(1, 22);
+      let inFlight;
+      let maxInFlight;
+
+      beforeEach(() => {
+        inFlight = 0;
+        maxInFlight = 0;
+        get.callsFake((options) => {
+          const start = options.qs.start;
+          const pageSize = options.qs.pagesize;
+          inFlight++;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          // Later pages answer first to check results stay in order
+          return new Promise(resolve => setTimeout(resolve, 30 - start)).then(() => {
+            inFlight--;
+            return {Errors: [], Warnings: [], StartIndex: start, TotalResultCount: results.length, Results: results.slice(start - 1, start - 1 + pageSize)};
+          });
+        });
+      });
+
+      it('returns every page in order', async () => {
+        const restApi = new RestApi();
+        const result = await restApi.query({type: 'defect', pageSize: 5, parallelPages: true});
+        result.Results.should.eql(results);
+        result.PageSize.should.eql(21);
+        _.map(get.getCalls(), call => call.args[0].qs.start).should.eql([1, 6, 11, 16, 21]);
+      });
+
+      it('bounds the number of concurrent requests', async () => {
+        const restApi = new RestApi();
+        await restApi.query({type: 'defect', pageSize: 2, parallelPages: 3});
+        get.callCount.should.eql(11);
+        maxInFlight.should.eql(3);
+      });
+
+      it('only requests the pages needed for limit', async () => {
+        const restApi = new RestApi();
+        const result = await restApi.query({type: 'defect', pageSize: 5, limit: 12, parallelPages: true});
+        result.Results.should.eql(_.range(1, 13));
+        get.callCount.should.eql(3);
+      });
+
+      it('rejects when a page fails', async () => {
+        const error = new Error('Error!');
+        get.onCall(2).rejects(error);
+        const restApi = new RestApi();
+        try {
+          await restApi.query({type: 'defect', pageSize: 5, parallelPages: true});
+          fail('promise should be rejected');
+        } catch (err) {
+          err.should.be.exactly(error);
+        }
+      });
+
+      it('streams pages in order with queryStream', async () => {
+        const restApi = new RestApi();
+        const pages = [];
+        const result = await restApi.queryStream({type: 'defect', pageSize: 5, parallelPages: 2}, (pageResults, pageInfo) => {
+          pages.push(pageInfo.startIndex);
+          return true;
+        });
+        pages.should.eql([1, 6, 11, 16, 21]);
+        result.totalProcessed.should.eql(21);
+        maxInFlight.should.eql(2);
+      });
+
+      it('stops requesting pages when queryStream stops', async () => {
+        const restApi = new RestApi();
+        await restApi.queryStream({type: 'defect', pageSize: 2, parallelPages: 2}, (pageResults, pageInfo) => pageInfo.startIndex < 3);
+        // The first page, then the second page and the one prefetched with it
+        get.callCount.should.eql(3);
+      });
+
+      it('batches pages in order with queryBatch', async () => {
+        const restApi = new RestApi();
+        const batches = [];
+        await restApi.queryBatch({type: 'defect', pageSize: 5, parallelPages: true}, 7, (batch) => {
+          batches.push(batch);
+          return true;
+        });
+        _.flatten(batches).should.eql(results);
+        batches.length.should.eql(3);
+      });
+    });
+
+    describe('cursors', () => {
+      const results = _.range(1, 11);
+
+      beforeEach(() => {
+        get.callsFake((options) => {
+          const start = options.qs.start;
+          const pageSize = options.qs.pagesize;
+          return Promise.resolve({Errors: [], Warnings: [], StartIndex: start, TotalResultCount: results.length, Results: results.slice(start - 1, start - 1 + pageSize)});
+        });
+      });
+
+      it('exposes a serializable cursor for each page', async () => {
+        const restApi = new RestApi();
+        const cursors = [];
+        await restApi.queryStream({
+          type: 'defect',
+          pageSize: 4,
+          fetch: ['FormattedID', 'Name'],
+          order: 'Rank',
+          query: where('State', '=', 'Open'),
+          scope: {project: 'https://rally1.rallydev.com/slm/webservice/v2.0/project/1234', down: true}
+        }, (pageResults, pageInfo) => {
+          cursors.push(JSON.parse(JSON.stringify(pageInfo.cursor)));
+          return true;
+        });
+        cursors.should.eql([{
+          type: 'defect',
+          query: '(State = Open)',
+          order: 'Rank',
+          fetch: 'FormattedID,Name',
+          scope: {project: '/project/1234', down: true},
+          pageSize: 4,
+          start: 5
+        }, {
+          type: 'defect',
+          query: '(State = Open)',
+          order: 'Rank',
+          fetch: 'FormattedID,Name',
+          scope: {project: '/project/1234', down: true},
+          pageSize: 4,
+          start: 9
+        }, null]);
+      });
+
+      it('carries the collection ref and the remaining limit', async () => {
+        const restApi = new RestApi();
+        const pages = [];
+        for await (const page of restApi.iteratePages({ref: '/defect/1234/tasks', pageSize: 3, limit: 7})) {
+          pages.push(page.cursor);
+        }
+        pages.should.eql([
+          {ref: '/defect/1234/tasks', pageSize: 3, start: 4, limit: 4},
+          {ref: '/defect/1234/tasks', pageSize: 3, start: 7, limit: 1},
+          null
+        ]);
+      });
+
+      it('resumes a query from a cursor', async () => {
+        const restApi = new RestApi();
+        let cursor;
+        await restApi.queryStream({type: 'defect', pageSize: 4, fetch: 'Name', order: 'Rank'}, (pageResults, pageInfo) => {
+          cursor = pageInfo.cursor;
+          return false;
+        });
+        get.resetHistory();
+
+        const pages = [];
+        const result = await restApi.queryStream({cursor: JSON.parse(JSON.stringify(cursor))}, (pageResults) => {
+          pages.push(pageResults);
+          return true;
+        });
+        pages.should.eql([[5, 6, 7, 8], [9, 10]]);
+        result.totalProcessed.should.eql(6);
+        get.firstCall.args[0].url.should.eql('/defect');
+        get.firstCall.args[0].qs.should.eql({start: 5, pagesize: 4, fetch: 'Name', order: 'Rank'});
+      });
+
+      it('resumes query and iterate from a cursor', async () => {
+        const restApi = new RestApi();
+        const cursor = {type: 'defect', pageSize: 3, start: 4, limit: 5};
+        const result = await restApi.query({cursor});
+        result.Results.should.eql([4, 5, 6, 7, 8]);
+
+        const items = [];
+        for await (const item of restApi.iterate({cursor})) {
+          items.push(item);
+        }
+        items.should.eql([4, 5, 6, 7, 8]);
+      });
+    });
+
+    describe('warnings', () => {
+      const warnings = {
+        1: ['Field Foo is deprecated'],
+        3: ['Field Foo is deprecated', 'Field Bar ignored'],
+        5: ['Field Bar ignored', 'Field Bar ignored']
+      };
+
+      beforeEach(() => {
+        get.callsFake((options) => {
+          const start = options.qs.start;
+          return Promise.resolve({Errors: [], Warnings: warnings[start], StartIndex: start, TotalResultCount: 6, Results: [start, start + 1]});
+        });
+      });
+
+      it('collects the distinct warnings of every page in query', async () => {
+        const restApi = new RestApi();
+        const result = await restApi.query({type: 'defect', pageSize: 2});
+        result.Results.should.eql([1, 2, 3, 4, 5, 6]);
+        result.Warnings.should.eql(['Field Foo is deprecated', 'Field Bar ignored']);
+        result.Errors.should.eql([]);
+      });
+
+      it('collects the distinct warnings of every page in queryStream', async () => {
+        const restApi = new RestApi();
+        const pageWarnings = [];
+        const result = await restApi.queryStream({type: 'defect', pageSize: 2}, (pageResults, pageInfo) => {
+          pageWarnings.push(pageInfo.warnings);
+          return true;
+        });
+        pageWarnings.should.eql([warnings[1], warnings[3], warnings[5]]);
+        result.Warnings.should.eql(['Field Foo is deprecated', 'Field Bar ignored']);
+      });
+
+      it('collects the distinct warnings of every page in queryBatch', async () => {
+        const restApi = new RestApi();
+        const result = await restApi.queryBatch({type: 'defect', pageSize: 2}, 4, () => true);
+        result.totalBatches.should.eql(2);
+        result.Warnings.should.eql(['Field Foo is deprecated', 'Field Bar ignored']);
+      });
+
+      it('reports each distinct warning to onWarning', async () => {
+        const onWarning = sinon.spy();
+        const restApi = new RestApi({onWarning});
+        await restApi.query({type: 'defect', pageSize: 2});
+        onWarning.callCount.should.eql(2);
+        onWarning.firstCall.args.should.eql(['Field Foo is deprecated', {url: '/defect'}]);
+        onWarning.secondCall.args.should.eql(['Field Bar ignored', {url: '/defect'}]);
+      });
+
+      it('reports warnings of iterated pages to onWarning', async () => {
+        const onWarning = sinon.spy();
+        const restApi = new RestApi({onWarning});
+        const items = [];
+        for await (const item of restApi.iterate({type: 'defect', pageSize: 2})) {
+          items.push(item);
+        }
+        items.length.should.eql(6);
+        onWarning.callCount.should.eql(2);
+      });
+    });
+
+    describe('consistency', () => {
+      let records;
+      let onPage;
+
+      beforeEach(() => {
+        records = _.range(1, 7).map(id => ({ObjectID: id}));
+        onPage = _.noop;
+        get.callsFake((options) => {
+          const start = options.qs.start;
+          const pageSize = options.qs.pagesize;
+          const page = {Errors: [], Warnings: [], StartIndex: start, TotalResultCount: records.length, Results: records.slice(start - 1, start - 1 + pageSize)};
+          onPage(start);
+          return Promise.resolve(page);
+        });
+      });
+
+      it('reports a consistent result', async () => {
+        const restApi = new RestApi();
+        const result = await restApi.query({type: 'defect', pageSize: 2, consistency: true});
+        _.map(result.Results, 'ObjectID').should.eql([1, 2, 3, 4, 5, 6]);
+        result.TotalResultCount.should.eql(6);
+        result.Consistency.should.eql({consistent: true, duplicates: 0, totalResultCountChanges: [], rereads: 0});
+      });
+
+      it('removes duplicates and reports count changes', async () => {
+        onPage = (start) => {
+          if (start === 1) {
+            // A record is created ahead of the next page, shifting it by one
+            records.unshift({ObjectID: 7});
+          }
+        };
+        const restApi = new RestApi();
+        const result = await restApi.query({type: 'defect', pageSize: 2, consistency: 'report'});
+        _.map(result.Results, 'ObjectID').should.eql([1, 2, 3, 4, 5, 6]);
+        result.Consistency.should.eql({
+          consistent: false,
+          duplicates: 1,
+          totalResultCountChanges: [{startIndex: 3, previous: 6, current: 7}],
+          rereads: 0
+        });
+      });
+
+      it('de-duplicates by _ref when ObjectID is not fetched', async () => {
+        records = [{_ref: '/defect/1'}, {_ref: '/defect/2'}, {_ref: '/defect/2'}];
+        const restApi = new RestApi();
+        const result = await restApi.query({type: 'defect', pageSize: 2, consistency: true});
+        result.Results.should.eql([{_ref: '/defect/1'}, {_ref: '/defect/2'}]);
+        result.Consistency.duplicates.should.eql(1);
+      });
+
+      it('re-reads from the first page when the count changes', async () => {
+        let changed = false;
+        onPage = (start) => {
+          if (start === 3 && !changed) {
+            changed = true;
+            records.shift();
+          }
+        };
+        const restApi = new RestApi();
+        const result = await restApi.query({type: 'defect', pageSize: 2, consistency: 'reread'});
+        _.map(result.Results, 'ObjectID').should.eql([2, 3, 4, 5, 6]);
+        result.Consistency.should.eql({consistent: true, duplicates: 0, totalResultCountChanges: [], rereads: 1});
+        _.map(get.getCalls(), call => call.args[0].qs.start).should.eql([1, 3, 5, 1, 3, 5]);
+      });
+
+      it('reports changes after the maximum number of re-reads', async () => {
+        onPage = (start) => {
+          if (start === 1) {
+            records.push({ObjectID: records.length + 1});
+          }
+        };
+        const restApi = new RestApi();
+        const result = await restApi.query({type: 'defect', pageSize: 2, limit: 4, consistency: 'reread'});
+        result.Results.length.should.eql(4);
+        result.Consistency.consistent.should.eql(false);
+        result.Consistency.rereads.should.eql(2);
+        result.Consistency.totalResultCountChanges.length.should.eql(1);
+      });
+    });
+
+    describe('types', () => {
+      it('queries the artifact endpoint for several types', async () => {
+        const restApi = new RestApi();
+        await restApi.query({types: ['hierarchicalrequirement', 'defect'], fetch: ['FormattedID']});
+        const args = get.firstCall.args[0];
+        args.url.should.eql('/artifact');
+        args.qs.types.should.eql('hierarchicalrequirement,defect');
+        args.qs.fetch.should.eql('FormattedID');
+      });
+
+      it('queries an explicit type for several types', async () => {
+        const restApi = new RestApi();
+        await restApi.count({type: 'schedulableartifact', types: 'hierarchicalrequirement,defect'});
+        const args = get.firstCall.args[0];
+        args.url.should.eql('/schedulableartifact');
+        args.qs.types.should.eql('hierarchicalrequirement,defect');
+      });
+
+      it('tags each result with its type', async () => {
+        get.returns(Promise.resolve({
+          Errors: [], Warnings: [], StartIndex: 1, TotalResultCount: 2,
+          Results: [{_type: 'HierarchicalRequirement', _ref: '/hierarchicalrequirement/1'}, {_ref: '/defect/2'}]
+        }));
+        const restApi = new RestApi();
+        const result = await restApi.query({types: ['hierarchicalrequirement', 'defect']});
+        _.map(result.Results, '_type').should.eql(['HierarchicalRequirement', 'defect']);
+
+        const pages = [];
+        await restApi.queryStream({types: ['hierarchicalrequirement', 'defect']}, (pageResults) => {
+          pages.push(_.map(pageResults, '_type'));
+          return true;
+        });
+        pages.should.eql([['HierarchicalRequirement', 'defect']]);
+      });
+
+      it('keeps the types in the cursor', async () => {
+        get.callsFake(options => Promise.resolve({Errors: [], Warnings: [], StartIndex: options.qs.start, TotalResultCount: 4, Results: [{}, {}]}));
+        const restApi = new RestApi();
+        let cursor;
+        await restApi.queryStream({types: ['defect', 'task'], pageSize: 2}, (pageResults, pageInfo) => {
+          cursor = pageInfo.cursor;
+          return false;
+        });
+        cursor.should.eql({types: 'defect,task', pageSize: 2, start: 3});
+        get.resetHistory();
+        await restApi.query({cursor});
+        get.firstCall.args[0].url.should.eql('/artifact');
+        get.firstCall.args[0].qs.types.should.eql('defect,task');
+      });
+    });
+
+    describe('expand', () => {
+      const tasks = {
+        '/hierarchicalrequirement/1/Tasks': [{_ref: '/task/11'}, {_ref: '/task/12'}],
+        '/hierarchicalrequirement/2/Tasks': [{_ref: '/task/21'}],
+        '/hierarchicalrequirement/1/Defects': [{_ref: '/defect/13'}]
+      };
+      const story = id => ({
+        _ref: `/hierarchicalrequirement/${id}`,
+        Tasks: {_ref: `https://rally1.rallydev.com/slm/webservice/v2.0/hierarchicalrequirement/${id}/Tasks`, Count: tasks[`/hierarchicalrequirement/${id}/Tasks`].length},
+        Defects: {_ref: `/hierarchicalrequirement/${id}/Defects`, Count: id === 1 ? 1 : 0}
+      });
+
+      beforeEach(() => {
+        get.callsFake((options) => {
+          if (options.url === '/hierarchicalrequirement/1') {
+            return Promise.resolve(_.assign({Errors: [], Warnings: []}, story(1)));
+          }
+          const children = tasks[options.url];
+          if (children) {
+            return Promise.resolve({Errors: [], Warnings: [], StartIndex: 1, TotalResultCount: children.length, Results: children});
+          }
+          return Promise.resolve({Errors: [], Warnings: [], StartIndex: 1, TotalResultCount: 2, Results: [story(1), story(2)]});
+        });
+      });
+
+      it('expands collections of query results', async () => {
+        const restApi = new RestApi();
+        const result = await restApi.query({type: 'hierarchicalrequirement', fetch: ['Tasks'], expand: 'Tasks'});
+        result.Results[0].Tasks.should.eql(tasks['/hierarchicalrequirement/1/Tasks']);
+        result.Results[1].Tasks.should.eql(tasks['/hierarchicalrequirement/2/Tasks']);
+        result.Results[0].Defects.should.eql(story(1).Defects);
+        get.callCount.should.eql(3);
+        get.getCalls().slice(1).forEach(call => call.args[0].qs.fetch.should.eql('true'));
+      });
+
+      it('expands collections of a get result', async () => {
+        const restApi = new RestApi();
+        const result = await restApi.get({ref: '/hierarchicalrequirement/1', expand: ['Tasks', 'Defects']});
+        result.Object.Tasks.should.eql(tasks['/hierarchicalrequirement/1/Tasks']);
+        result.Object.Defects.should.eql(tasks['/hierarchicalrequirement/1/Defects']);
+      });
+
+      it('does not query empty collections', async () => {
+        const restApi = new RestApi();
+        const result = await restApi.query({type: 'hierarchicalrequirement', expand: ['Defects']});
+        result.Results[1].Defects.should.eql([]);
+        get.callCount.should.eql(2);
+      });
+
+      it('applies the fetch and query options of each collection', async () => {
+        const restApi = new RestApi();
+        await restApi.get({ref: '/hierarchicalrequirement/1', expand: {Tasks: ['Name', 'State'], Defects: {fetch: 'Name', order: 'Rank'}}});
+        const taskQuery = _.find(get.getCalls(), call => call.args[0].url === '/hierarchicalrequirement/1/Tasks');
+        taskQuery.args[0].qs.fetch.should.eql('Name,State');
+        const defectQuery = _.find(get.getCalls(), call => call.args[0].url === '/hierarchicalrequirement/1/Defects');
+        defectQuery.args[0].qs.fetch.should.eql('Name');
+        defectQuery.args[0].qs.order.should.eql('Rank');
+      });
+
+      it('fetches all fields of collections without a fetch', async () => {
+        const restApi = new RestApi();
+        await restApi.get({ref: '/hierarchicalrequirement/1', expand: {Tasks: true, Defects: {order: 'Rank'}}});
+        const taskQuery = _.find(get.getCalls(), call => call.args[0].url === '/hierarchicalrequirement/1/Tasks');
+        taskQuery.args[0].qs.fetch.should.eql('true');
+        const defectQuery = _.find(get.getCalls(), call => call.args[0].url === '/hierarchicalrequirement/1/Defects');
+        defectQuery.args[0].qs.fetch.should.eql('true');
+      });
+
+      it('bounds the number of concurrent collection queries', async () => {
+        let inFlight = 0;
+        let maxInFlight = 0;
+        const restApi = new RestApi();
+        restApi.use(async (context, next) => {
+          inFlight++;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          await new Promise(resolve => setTimeout(resolve, 5));
+          inFlight--;
+          return next();
+        });
+        await restApi.query({type: 'hierarchicalrequirement', expand: ['Tasks', 'Defects'], expandConcurrency: 2});
+        maxInFlight.should.eql(2);
+        get.callCount.should.eql(4);
+      });
+
+      it('passes the signal to collection queries', async () => {
+        const controller = new AbortController();
+        const restApi = new RestApi();
+        await restApi.query({type: 'hierarchicalrequirement', expand: 'Tasks', signal: controller.signal});
+        get.getCalls().forEach(call => call.args[0].signal.should.be.exactly(controller.signal));
+      });
+    });
+
+    describe('select and map', () => {
+      const record = start => ({_rallyAPIMajor: '2', _objectVersion: '1', ObjectID: start, PlanEstimate: start % 2 ? null : start, Owner: {_refObjectName: `User ${start}`}});
+
+      beforeEach(() => {
+        get.callsFake((options) => {
+          if (options.url === '/defect/1') {
+            return Promise.resolve(_.assign({Errors: [], Warnings: []}, record(1)));
+          }
+          const start = options.qs.start;
+          return Promise.resolve({Errors: [], Warnings: [], StartIndex: start, TotalResultCount: 3, Results: [record(start), record(start + 1)].slice(0, 4 - start)});
+        });
+      });
+
+      const options = {
+        select: ['ObjectID as id', 'PlanEstimate', 'Owner._refObjectName as owner'],
+        map: {PlanEstimate: value => value || 0}
+      };
+      const expected = [{id: 1, PlanEstimate: 0, owner: 'User 1'}, {id: 2, PlanEstimate: 2, owner: 'User 2'}, {id: 3, PlanEstimate: 0, owner: 'User 3'}];
+
+      it('transforms query results', async () => {
+        const restApi = new RestApi();
+        const result = await restApi.query(_.assign({type: 'defect', pageSize: 2}, options));
+        result.Results.should.eql(expected);
+      });
+
+      it('transforms each page of queryStream', async () => {
+        const restApi = new RestApi();
+        const pages = [];
+        await restApi.queryStream(_.assign({type: 'defect', pageSize: 2}, options), (pageResults) => {
+          pages.push(pageResults);
+          return true;
+        });
+        pages.should.eql([expected.slice(0, 2), expected.slice(2)]);
+      });
+
+      it('transforms iterated results', async () => {
+        const restApi = new RestApi();
+        const items = [];
+        for await (const item of restApi.iterate(_.assign({type: 'defect', pageSize: 2}, options))) {
+          items.push(item);
+        }
+        items.should.eql(expected);
+      });
+
+      it('transforms the get result', async () => {
+        const restApi = new RestApi();
+        const result = await restApi.get(_.assign({ref: '/defect/1'}, options));
+        result.Object.should.eql(expected[0]);
+      });
+
+      it('transforms consistent query results', async () => {
+        const restApi = new RestApi();
+        const result = await restApi.query(_.assign({type: 'defect', pageSize: 2, consistency: true}, options));
+        result.Results.should.eql(expected);
+        result.Consistency.consistent.should.eql(true);
+      });
+
+      it('transforms after expanding collections', async () => {
+        get.callsFake((options) => {
+          if (options.url === '/defect/1/Tasks') {
+            return Promise.resolve({Errors: [], Warnings: [], StartIndex: 1, TotalResultCount: 1, Results: [{Name: 'Task', _objectVersion: '1'}]});
+          }
+          return Promise.resolve({Errors: [], Warnings: [], StartIndex: 1, TotalResultCount: 1, Results: [{FormattedID: 'DE1', Tasks: {_ref: '/defect/1/Tasks', Count: 1}}]});
+        });
+        const restApi = new RestApi();
+        const result = await restApi.query({type: 'defect', expand: 'Tasks', select: ['FormattedID as id', 'Tasks as tasks']});
+        result.Results.should.eql([{id: 'DE1', tasks: [{Name: 'Task'}]}]);
+      });
+    });
+
+    describe('cancellation', () => {
+      const page = (start) => Promise.resolve({Errors: [], Warnings: [], StartIndex: start, TotalResultCount: 10, Results: [start, start + 1]});
+
+      it('passes the signal and timeout to every page', async () => {
+        const controller = new AbortController();
+        get.callsFake(options => page(options.qs.start));
+        const restApi = new RestApi();
+        await restApi.query({type: 'defect', pageSize: 2, limit: 4, signal: controller.signal, timeout: 1000});
+        get.callCount.should.eql(2);
+        get.getCalls().forEach((call) => {
+          call.args[0].signal.should.be.exactly(controller.signal);
+          call.args[0].timeout.should.eql(1000);
+        });
+      });
+
+      it('stops query paging when aborted', async () => {
+        const controller = new AbortController();
+        get.callsFake((options) => {
+          controller.abort();
+          return page(options.qs.start);
+        });
+        const restApi = new RestApi();
+        try {
+          await restApi.query({type: 'defect', pageSize: 2, signal: controller.signal});
+          fail('promise should be rejected');
+        } catch (err) {
+          err.name.should.eql('AbortError');
+          get.callCount.should.eql(1);
+        }
+      });
+
+      it('stops queryStream paging when aborted', async () => {
+        const controller = new AbortController();
+        get.callsFake(options => page(options.qs.start));
+        const restApi = new RestApi();
+        const onPage = sinon.spy(() => {
+          controller.abort();
+          return true;
+        });
+        try {
+          await restApi.queryStream({type: 'defect', pageSize: 2, signal: controller.signal}, onPage);
+          fail('promise should be rejected');
+        } catch (err) {
+          err.name.should.eql('AbortError');
+          onPage.callCount.should.eql(1);
+          get.callCount.should.eql(1);
+        }
+      });
+
+      it('stops queryBatch paging when aborted', async () => {
+        const controller = new AbortController();
+        get.callsFake(options => page(options.qs.start));
+        const restApi = new RestApi();
+        try {
+          await restApi.queryBatch({type: 'defect', pageSize: 2, signal: controller.signal}, 2, () => {
+            controller.abort();
+            return true;
+          });
+          fail('promise should be rejected');
+        } catch (err) {
+          err.name.should.eql('AbortError');
+          get.callCount.should.eql(1);
+        }
+      });
+
+      it('passes the signal to get', async () => {
+        const controller = new AbortController();
+        const restApi = new RestApi();
+        await restApi.get({ref: '/defect/1234', signal: controller.signal});
+        get.firstCall.args[0].signal.should.be.exactly(controller.signal);
+      });
+    });
+
+    describe('#count', () => {
+      beforeEach(() => {
+        get.returns(Promise.resolve({Errors: [], Warnings: [], StartIndex: 1, TotalResultCount: 42, Results: [{_ref: '/defect/1'}]}));
+      });
+
+      it('issues a single minimal request', async () => {
+        const restApi = new RestApi();
+        const query = where('Priority', '=', 'P1').and('State', '=', 'Open');
+        await restApi.count({
+          type: 'defect',
+          query,
+          fetch: ['FormattedID', 'Name'],
+          order: 'Rank',
+          scope: {workspace: '/workspace/1234'},
+          requestOptions: {qs: {foo: 'bar'}}
+        });
+        get.callCount.should.eql(1);
+        const args = get.firstCall.args[0];
+        args.url.should.eql('/defect');
+        args.qs.should.eql({start: 1, pagesize: 1, fetch: false, query: query.toQueryString(), workspace: '/workspace/1234', foo: 'bar'});
+      });
+
+      it('resolves promise with the total result count', async () => {
+        const restApi = new RestApi();
+        const count = await restApi.count({ref: '/defect/1234/tasks'});
+        count.should.eql(42);
+        get.firstCall.args[0].url.should.eql('/defect/1234/tasks');
+      });
+
+      it('calls callback with the total result count', (done) => {
+        const restApi = new RestApi();
+        restApi.count({type: 'defect'}, (err, count) => {
+          should.not.exist(err);
+          count.should.eql(42);
+          done();
+        });
+      });
+
+      it('rejects promise with error', async () => {
+        const error = new Error('Error!');
+        get.returns(Promise.reject(error));
+        const restApi = new RestApi();
+        try {
+          await restApi.count({type: 'defect'});
+          fail('promise should be rejected');
+        } catch (err) {
+          err.should.be.exactly(error);
+        }
+      });
+    });
+
+    describe('#countMany', () => {
+      beforeEach(() => {
+        get.callsFake(options => Promise.resolve({Errors: [], Warnings: [], StartIndex: 1, TotalResultCount: options.url.length, Results: []}));
+      });
+
+      it('resolves an array of counts', async () => {
+        const restApi = new RestApi();
+        const counts = await restApi.countMany([{type: 'defect'}, {type: 'hierarchicalrequirement'}]);
+        counts.should.eql([7, 24]);
+        get.callCount.should.eql(2);
+      });
+
+      it('resolves counts keyed by name', async () => {
+        const restApi = new RestApi();
+        const counts = await restApi.countMany({defects: {type: 'defect'}, tasks: {type: 'task'}});
+        counts.should.eql({defects: 7, tasks: 5});
+      });
+
+      it('runs the counts concurrently', async () => {
+        const pending = [];
+        get.callsFake(() => new Promise(resolve => pending.push(resolve)));
+        const restApi = new RestApi();
+        const countsPromise = restApi.countMany([{type: 'defect'}, {type: 'task'}]);
+        get.callCount.should.eql(2);
+        pending.forEach((resolve, i) => resolve({TotalResultCount: i}));
+        (await countsPromise).should.eql([0, 1]);
+      });
+
+      it('rejects when a count fails', async () => {
+        const error = new Error('Error!');
+        get.onCall(1).rejects(error);
+        const restApi = new RestApi();
+        try {
+          await restApi.countMany([{type: 'defect'}, {type: 'task'}]);
+          fail('promise should be rejected');
+        } catch (err) {
+          err.should.be.exactly(error);
+        }
+      });
+    });
+
+    describe('#queryReadable', () => {
+      const results = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+      beforeEach(() => {
+        get.callsFake((options) => {
+          const start = options.qs.start;
+          const pageSize = options.qs.pagesize;
+          return Promise.resolve({Errors: [], Warnings: [], StartIndex: start, TotalResultCount: results.length, Results: results.slice(start - 1, start - 1 + pageSize)});
+        });
+      });
+
+      it('streams all results', async () => {
+        const restApi = new RestApi();
+        const items = [];
+        await pipeline(restApi.queryReadable({type: 'defect', pageSize: 3}), new Writable({
+          objectMode: true,
+          write(item, encoding, cb) {
+            items.push(item);
+            cb();
+          }
+        }));
+        items.should.eql(results);
+        get.callCount.should.eql(4);
+      });
+
+      it('respects limit', async () => {
+        const restApi = new RestApi();
+        const items = await restApi.queryReadable({type: 'defect', pageSize: 3, limit: 4}).toArray();
+        items.should.eql([1, 2, 3, 4]);
+      });
+
+      it('only requests the next page once the buffer drains', async () => {
+        const restApi = new RestApi();
+        const readable = restApi.queryReadable({type: 'defect', pageSize: 2, highWaterMark: 2});
+        readable.read(0);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        get.callCount.should.eql(1);
+        readable.read().should.eql(1);
+        readable.read().should.eql(2);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        get.callCount.should.eql(2);
+        readable.destroy();
+      });
+
+      it('stops fetching when destroyed', async () => {
+        const restApi = new RestApi();
+        const readable = restApi.queryReadable({type: 'defect', pageSize: 2, highWaterMark: 1});
+        readable.read(0);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        readable.destroy();
+        await new Promise(resolve => setTimeout(resolve, 10));
+        get.callCount.should.eql(1);
+      });
+
+      it('emits errors as stream errors', async () => {
+        const error = new Error('Error!');
+        get.returns(Promise.reject(error));
+        const restApi = new RestApi();
+        try {
+          await restApi.queryReadable({type: 'defect'}).toArray();
+          fail('stream should error');
+        } catch (err) {
+          err.should.be.exactly(error);
+        }
+      });
+    });
+
+    describe('#iterate', () => {
+      const results = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+      beforeEach(() => {
+        get.callsFake((options) => {
+          const start = options.qs.start;
+          const pageSize = options.qs.pagesize;
+          return Promise.resolve({Errors: [], Warnings: [], StartIndex: start, TotalResultCount: results.length, Results: results.slice(start - 1, start - 1 + pageSize)});
+        });
+      });
+
+      const collect = async (iterable) => {
+        const items = [];
+        for await (const item of iterable) {
+          items.push(item);
+        }
+        return items;
+      };
+
+      it('iterates over all results', async () => {
+        const restApi = new RestApi();
+        (await collect(restApi.iterate({type: 'defect', pageSize: 3}))).should.eql(results);
+        get.callCount.should.eql(4);
+      });
+
+      it('respects limit like query', async () => {
+        const restApi = new RestApi();
+        (await collect(restApi.iterate({type: 'defect', pageSize: 3, limit: 5}))).should.eql([1, 2, 3, 4, 5]);
+        get.callCount.should.eql(2);
+        (await collect(restApi.iterate({type: 'defect', limit: 0}))).should.eql([]);
+        get.callCount.should.eql(2);
+      });
+
+      it('passes order, scope and query like query', async () => {
+        const restApi = new RestApi();
+        await collect(restApi.iterate({
+          type: 'defect',
+          order: ['Rank'],
+          scope: {project: '/project/1', down: true},
+          query: where('State', '=', 'Open')
+        }));
+        const qs = get.firstCall.args[0].qs;
+        qs.order.should.eql('Rank');
+        qs.project.should.eql('/project/1');
+        qs.projectScopeDown.should.eql(true);
+        qs.query.should.eql('(State = Open)');
+      });
+
+      it('stops fetching pages on break', async () => {
+        const restApi = new RestApi();
+        const items = [];
+        for await (const item of restApi.iterate({type: 'defect', pageSize: 2})) {
+          items.push(item);
+          if (item === 3) {
+            break;
+          }
+        }
+        items.should.eql([1, 2, 3]);
+        get.callCount.should.eql(2);
+      });
+
+      it('iterates over pages', async () => {
+        const restApi = new RestApi();
+        const pages = await collect(restApi.iteratePages({type: 'defect', pageSize: 4}));
+        pages.map(page => page.results).should.eql([[1, 2, 3, 4], [5, 6, 7, 8], [9, 10]]);
+        pages[2].should.containDeep({startIndex: 9, pageSize: 2, totalResultCount: 10, totalProcessed: 10});
+      });
+
+      it('throws errors from the loop', async () => {
+        get.returns(Promise.reject(new Error('Error!')));
+        const restApi = new RestApi();
+        try {
+          await collect(restApi.iterate({type: 'defect'}));
+          fail('iteration should throw');
+        } catch (err) {
+          err.message.should.eql('Error!');
+        }
+      });
+    });
+
     describe('add', () => {
       it('translates request options', async ( ) => {
         const restApi = new RestApi();
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import CookieJar from '../../lib/util/cookieJar.js';
+
+describe('CookieJar', () => {
+  const wsapiUrl = 'https://rally1.rallydev.com/slm/webservice/v2.0/defect';
+
+  describe('#setCookies', () => {
+
+    it('should capture and replay cookies for the same host', () => {
+      const jar = new CookieJar();
+      jar.setCookies(['JSESSIONID=abc; Path=/slm; HttpOnly', 'ZSESSIONID=def; Path=/; Secure'], wsapiUrl);
+      jar.getCookieHeader(wsapiUrl).should.eql('JSESSIONID=abc; ZSESSIONID=def');
+    });
+
+    it('should not replay cookies to other hosts', () => {
+      const jar = new CookieJar();
+      jar.setCookies('JSESSIONID=abc; Path=/', wsapiUrl);
+      (jar.getCookieHeader('https://other.rallydev.com/slm/webservice/v2.0/defect') === undefined).should.eql(true);
+    });
+
+    it('should replay domain cookies to sub domains', () => {
+      const jar = new CookieJar();
+      jar.setCookies('SERVERID=1; Domain=.rallydev.com; Path=/', wsapiUrl);
+      jar.getCookieHeader('https://other.rallydev.com/').should.eql('SERVERID=1');
+    });
+
+    it('should reject cookies for unrelated domains', () => {
+      const jar = new CookieJar();
+      jar.setCookies('SERVERID=1; Domain=example.com; Path=/', wsapiUrl);
+      jar.getCookies().should.eql([]);
+    });
+
+    it('should respect paths and the secure flag', () => {
+      const jar = new CookieJar();
+      jar.setCookies(['A=1; Path=/slm', 'B=2; Path=/other', 'C=3; Path=/; Secure'], wsapiUrl);
+      jar.getCookieHeader(wsapiUrl).should.eql('A=1; C=3');
+      jar.getCookieHeader('http://rally1.rallydev.com/slm/webservice').should.eql('A=1');
+    });
+
+    it('should default the path to the request directory', () => {
+      const jar = new CookieJar();
+      jar.setCookies('A=1', wsapiUrl);
+      jar.getCookies()[0].path.should.eql('/slm/webservice/v2.0');
+    });
+
+    it('should replace and expire cookies', () => {
+      const jar = new CookieJar();
+      jar.setCookies('A=1; Path=/', wsapiUrl);
+      jar.setCookies('A=2; Path=/', wsapiUrl);
+      jar.getCookieHeader(wsapiUrl).should.eql('A=2');
+      jar.setCookies('A=deleted; Path=/; Max-Age=0', wsapiUrl);
+      jar.getCookies().should.eql([]);
+      jar.setCookies('B=1; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT', wsapiUrl);
+      jar.getCookies().should.eql([]);
+    });
+  });
+
+  describe('persistence', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rally-cookies-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('should save cookies to and load them from a file', () => {
+      const file = path.join(dir, 'cookies.json');
+      new CookieJar({file}).setCookies('JSESSIONID=abc; Path=/slm', wsapiUrl);
+      fs.existsSync(file).should.eql(true);
+      new CookieJar({file}).getCookieHeader(wsapiUrl).should.eql('JSESSIONID=abc');
+    });
+
+    it('should start empty when the file does not exist', () => {
+      new CookieJar({file: path.join(dir, 'missing.json')}).getCookies().should.eql([]);
+    });
+
+    it('should start empty and warn when the file is corrupt', () => {
+      const file = path.join(dir, 'cookies.json');
+      fs.writeFileSync(file, '[{"name": "JSESSIONID"');
+      const warnings = [];
+      const jar = new CookieJar({file, warn: (message, fields) => warnings.push(fields)});
+      jar.getCookies().should.eql([]);
+      warnings.should.have.length(1);
+      warnings[0].file.should.eql(file);
+    });
+
+    it('should keep the cookies and warn when the file cannot be written', () => {
+      const file = path.join(dir, 'missing', 'cookies.json');
+      const warnings = [];
+      const jar = new CookieJar({file, warn: (message, fields) => warnings.push(fields)});
+      jar.setCookies('JSESSIONID=abc; Path=/slm', wsapiUrl);
+      jar.getCookieHeader(wsapiUrl).should.eql('JSESSIONID=abc');
+      warnings.should.have.length(1);
+      warnings[0].file.should.eql(file);
+      fs.readdirSync(dir).should.eql([]);
+    });
+
+    it('should save the file readable by its owner only', () => {
+      const file = path.join(dir, 'cookies.json');
+      new CookieJar({file}).setCookies('JSESSIONID=abc; Path=/slm', wsapiUrl);
+      (fs.statSync(file).mode & 0o777).should.eql(0o600);
+      fs.readdirSync(dir).should.eql(['cookies.json']);
+    });
+  });
+});
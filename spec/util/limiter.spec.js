@@ -0,0 +1,92 @@
+import sinon from 'sinon';
+import Limiter from '../../lib/util/limiter.js';
+
+describe('Limiter', () => {
+
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise((res) => {
+      resolve = res;
+    });
+    return {promise, resolve};
+  };
+
+  describe('#schedule', () => {
+
+    it('should run tasks immediately when unlimited', async () => {
+      const limiter = new Limiter();
+      const task = sinon.stub().resolves('done');
+      const promise = limiter.schedule(task);
+      task.callCount.should.eql(1);
+      (await promise).should.eql('done');
+    });
+
+    it('should bound concurrency and expose the queue depth', async () => {
+      const limiter = new Limiter({maxConcurrent: 2});
+      const tasks = [deferred(), deferred(), deferred()];
+      const promises = tasks.map(task => limiter.schedule(() => task.promise));
+      limiter.running.should.eql(2);
+      limiter.queued.should.eql(1);
+      tasks[0].resolve(1);
+      await promises[0];
+      limiter.running.should.eql(2);
+      limiter.queued.should.eql(0);
+      tasks[1].resolve(2);
+      tasks[2].resolve(3);
+      (await Promise.all(promises)).should.eql([1, 2, 3]);
+      limiter.running.should.eql(0);
+    });
+
+    it('should release the slot of failed tasks', async () => {
+      const limiter = new Limiter({maxConcurrent: 1});
+      const failed = limiter.schedule(() => Promise.reject(new Error('boom')));
+      const next = limiter.schedule(() => 'next');
+      try {
+        await failed;
+        throw new Error('promise should be rejected');
+      } catch (err) {
+        err.message.should.eql('boom');
+      }
+      (await next).should.eql('next');
+    });
+
+    it('should bound the number of tasks started per interval', async () => {
+      const clock = sinon.useFakeTimers();
+      try {
+        const limiter = new Limiter({maxPerInterval: 2, interval: 1000});
+        const task = sinon.stub().resolves();
+        const promises = [1, 2, 3, 4, 5].map(() => limiter.schedule(task));
+        task.callCount.should.eql(2);
+        await clock.tickAsync(999);
+        task.callCount.should.eql(2);
+        await clock.tickAsync(1);
+        task.callCount.should.eql(4);
+        await clock.tickAsync(1000);
+        task.callCount.should.eql(5);
+        await Promise.all(promises);
+      } finally {
+        clock.restore();
+      }
+    });
+
+    it('should remove aborted tasks from the queue', async () => {
+      const limiter = new Limiter({maxConcurrent: 1});
+      const controller = new AbortController();
+      const first = deferred();
+      limiter.schedule(() => first.promise);
+      const task = sinon.stub();
+      const aborted = limiter.schedule(task, controller.signal);
+      controller.abort();
+      try {
+        await aborted;
+        throw new Error('promise should be rejected');
+      } catch (err) {
+        err.name.should.eql('AbortError');
+      }
+      limiter.queued.should.eql(0);
+      first.resolve();
+      await first.promise;
+      task.callCount.should.eql(0);
+    });
+  });
+});
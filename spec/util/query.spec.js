@@ -1,6 +1,8 @@
 import should from 'should';
+import _ from 'lodash';
 import rally from '../../lib/index.js';
 import Query from '../../lib/util/query.js';
+import { QuerySyntaxError } from '../../lib/errors.js';
 
 const queryUtils = rally.util.query;
 
@@ -36,6 +38,365 @@ describe('Query', () => {
     it('should handle nested queries', () => {
       queryUtils.where('Tags.Name', 'contains', 'foo').and('Owner', '=', '/user/1234').toQueryString().should.eql('((Tags.Name contains foo) AND (Owner = /user/1234))');
     });
+
+    describe('output matrix', () => {
+      [
+        ['Name', '=', 'foo', '(Name = foo)'],
+        ['Name', '=', 'foo bar', '(Name = "foo bar")'],
+        ['Name', '=', 'tab\there', '(Name = "tab\there")'],
+        ['Name', '=', 'say "hi"', '(Name = "say \\"hi\\"")'],
+        ['Name', '=', 'C:\\temp', '(Name = "C:\\\\temp")'],
+        ['Name', '=', 'f(x)', '(Name = "f(x)")'],
+        ['Name', '=', 'a,b', '(Name = "a,b")'],
+        ['Name', '=', '', '(Name = "")'],
+        ['Name', '=', 'null', '(Name = "null")'],
+        ['Name', '=', 'AND', '(Name = "AND")'],
+        ['Name', '=', 'or', '(Name = "or")'],
+        ['Name', '=', 'true', '(Name = "true")'],
+        ['Name', '!=', 'foo', '(Name != foo)'],
+        ['Name', 'contains', 'foo bar', '(Name contains "foo bar")'],
+        ['Name', '!contains', 'foo', '(Name !contains foo)'],
+        ['Iteration', '=', null, '(Iteration = null)'],
+        ['Iteration', '!=', null, '(Iteration != null)'],
+        ['Blocked', '=', true, '(Blocked = true)'],
+        ['Ready', '=', false, '(Ready = false)'],
+        ['PlanEstimate', '>', 0, '(PlanEstimate > 0)'],
+        ['PlanEstimate', '>=', 2.5, '(PlanEstimate >= 2.5)'],
+        ['PlanEstimate', '<', -1, '(PlanEstimate < -1)'],
+        ['PlanEstimate', '<=', '3', '(PlanEstimate <= 3)'],
+        ['Owner', '=', 'https://rally1.rallydev.com/slm/webservice/v2.0/user/1234', '(Owner = /user/1234)'],
+        ['State', 'in', ['Open', 'In Progress', 'Fixed'], '(State in Open,"In Progress",Fixed)'],
+        ['State', 'in', 'Open', '(State in Open)'],
+        ['State', 'in', 'Open,Closed', '(State in Open,Closed)'],
+        ['State', '!in', 'Open, In Progress', '(State !in Open,"In Progress")'],
+        ['State', '!in', ['Closed', 'a,b'], '(State !in Closed,"a,b")'],
+        ['Priority', 'in', [1, null], '(Priority in 1,null)'],
+        ['Owner', 'in', [{_ref: '/user/1'}, '/user/2'], '(Owner in /user/1,/user/2)'],
+        ['PlanEstimate', 'between', [1, 5], '(PlanEstimate between 1 and 5)'],
+        ['CreationDate', 'between', ['2020-01-01', '2020-02-01'], '(CreationDate between 2020-01-01 and 2020-02-01)'],
+        ['Name', 'between', ['a b', 'c'], '(Name between "a b" and c)']
+      ].forEach(([left, op, right, expected]) => {
+        it(`should output ${expected}`, () => {
+          queryUtils.where(left, op, right).toQueryString().should.eql(expected);
+          Query.parse(expected).toQueryString().should.eql(expected);
+        });
+      });
+    });
+
+    it('should handle dates in UTC', () => {
+      queryUtils.where('LastUpdateDate', '>', new Date(Date.UTC(2024, 0, 15, 9, 30))).toQueryString().should.eql('(LastUpdateDate > 2024-01-15T09:30:00.000Z)');
+      queryUtils.where('CreationDate', 'between', [new Date('2024-01-01T00:00:00+02:00'), new Date('2024-02-01T00:00:00Z')]).toQueryString()
+        .should.eql('(CreationDate between 2023-12-31T22:00:00.000Z and 2024-02-01T00:00:00.000Z)');
+      (() => queryUtils.where('CreationDate', '>', new Date('not a date')).toQueryString()).should.throw(TypeError);
+    });
+
+    it('should round trip dates', () => {
+      const text = queryUtils.where('LastUpdateDate', '>=', new Date(Date.UTC(2024, 0, 15))).toQueryString();
+      Query.parse(text).toQueryString().should.eql(text);
+    });
+
+    it('should reject invalid values for list and range operators', () => {
+      (() => queryUtils.where('State', 'in', []).toQueryString()).should.throw(TypeError);
+      (() => queryUtils.where('PlanEstimate', 'between', 5).toQueryString()).should.throw(TypeError);
+      (() => queryUtils.where('PlanEstimate', 'between', [1, 2, 3]).toQueryString()).should.throw(TypeError);
+    });
+  });
+
+  describe('relative dates', () => {
+
+    it('should write today with an offset in days', () => {
+      queryUtils.where('CreationDate', '>=', queryUtils.today()).toQueryString().should.eql('(CreationDate >= today)');
+      queryUtils.where('LastUpdateDate', '>', queryUtils.today(-7)).toQueryString().should.eql('(LastUpdateDate > today-7)');
+      queryUtils.where('TargetDate', '<', queryUtils.today(1)).toQueryString().should.eql('(TargetDate < today+1)');
+      queryUtils.where('CreationDate', 'between', [queryUtils.today(-14), queryUtils.today()]).toQueryString()
+        .should.eql('(CreationDate between today-14 and today)');
+    });
+
+    it('should reject a fractional offset', () => {
+      (() => queryUtils.today(1.5)).should.throw(TypeError);
+    });
+
+    it('should match the current iteration', () => {
+      queryUtils.currentIteration().toQueryString().should.eql('((Iteration.StartDate <= today) AND (Iteration.EndDate >= today))');
+      queryUtils.currentIteration('WorkProduct.Iteration').toQueryString()
+        .should.eql('((WorkProduct.Iteration.StartDate <= today) AND (WorkProduct.Iteration.EndDate >= today))');
+    });
+
+    it('should match the current release', () => {
+      queryUtils.currentRelease().and('State', '=', 'Open').toQueryString()
+        .should.eql('(((Release.ReleaseStartDate <= today) AND (Release.ReleaseDate >= today)) AND (State = Open))');
+    });
+
+    it('should round trip relative dates', () => {
+      const text = queryUtils.where('LastUpdateDate', '>', queryUtils.today(-7)).and(queryUtils.currentIteration()).toQueryString();
+      Query.parse(text).toQueryString().should.eql(text);
+    });
+  });
+
+  describe('#parse', () => {
+
+    const parseError = (text) => {
+      try {
+        Query.parse(text);
+      } catch (err) {
+        return err;
+      }
+      throw new Error(`${text} should not parse`);
+    };
+
+    it('should parse a simple query', () => {
+      Query.parse('(Name contains foo)').should.eql(new Query('Name', 'contains', 'foo'));
+      queryUtils.parse('(DirectChildrenCount > 0)').should.eql(new Query('DirectChildrenCount', '>', 0));
+    });
+
+    it('should parse nested queries', () => {
+      Query.parse('((State = Open) AND (Owner.Name contains "bob"))').should.eql(
+        new Query(new Query('State', '=', 'Open'), 'AND', new Query('Owner.Name', 'contains', 'bob')));
+      Query.parse('(((A = 1) or (B = 2)) and (C = 3))').should.eql(
+        new Query(new Query(new Query('A', '=', 1), 'OR', new Query('B', '=', 2)), 'AND', new Query('C', '=', 3)));
+    });
+
+    it('should parse every operator', () => {
+      ['=', '!=', '<', '<=', '>', '>=', 'contains', '!contains'].forEach((op) => {
+        Query.parse(`(PlanEstimate ${op} 5)`).should.eql(new Query('PlanEstimate', op, 5));
+      });
+      Query.parse('(PlanEstimate>=5)').should.eql(new Query('PlanEstimate', '>=', 5));
+      Query.parse('(Name CONTAINS foo)').op.should.eql('contains');
+      Query.parse('(State in Open,"In Progress", Fixed)').should.eql(new Query('State', 'in', ['Open', 'In Progress', 'Fixed']));
+      Query.parse('(State !in Closed)').should.eql(new Query('State', '!in', ['Closed']));
+      Query.parse('(CreationDate between 2020-01-01 and "2020-02-01")').should.eql(new Query('CreationDate', 'between', ['2020-01-01', '2020-02-01']));
+    });
+
+    it('should parse quoted values with escapes', () => {
+      Query.parse('(Name = "say \\"hi\\" to C:\\\\temp")').right.should.eql('say "hi" to C:\\temp');
+      Query.parse('(Name = "(not) a query")').right.should.eql('(not) a query');
+      Query.parse('(Name = "null")').right.should.eql('null');
+      Query.parse('(Name = "true")').right.should.eql('true');
+    });
+
+    it('should parse booleans', () => {
+      Query.parse('(Blocked = true)').should.eql(new Query('Blocked', '=', true));
+      Query.parse('(Ready != false)').should.eql(new Query('Ready', '!=', false));
+    });
+
+    it('should parse null, refs and custom fields', () => {
+      Query.parse('(Iteration = null)').should.eql(new Query('Iteration', '=', null));
+      Query.parse('(Owner = /user/1234)').should.eql(new Query('Owner', '=', '/user/1234'));
+      Query.parse('(c_CustomField != "some value")').should.eql(new Query('c_CustomField', '!=', 'some value'));
+    });
+
+    it('should round trip with toQueryString', () => {
+      [
+        '(Name contains foo)',
+        '(Iteration = null)',
+        '((Tags.Name contains foo) AND (Owner = /user/1234))',
+        '(((Name contains "foo bar") OR (PlanEstimate >= 3)) AND (Iteration != null))',
+        '(State in Open,"In Progress",Fixed)',
+        '(CreationDate between 2020-01-01 and 2020-02-01)'
+      ].forEach(text => Query.parse(text).toQueryString().should.eql(text));
+
+      const query = queryUtils.where('Name', 'contains', 'foo bar').and('Iteration', '=', null).or('Owner.Name', '!=', 'bob');
+      Query.parse(query.toQueryString()).toQueryString().should.eql(query.toQueryString());
+    });
+
+    it('should parse numbers', () => {
+      Query.parse('(PlanEstimate between -1 and 2.5)').right.should.eql([-1, 2.5]);
+      Query.parse('(Priority in 1,2)').right.should.eql([1, 2]);
+      Query.parse('(FormattedID = 007)').right.should.eql('007');
+      Query.parse('(ObjectID = 123456789012345678901)').right.should.eql('123456789012345678901');
+      Query.parse('(Name = "1")').right.should.eql('1');
+    });
+
+    it('should parse to the same AST as the built query', () => {
+      [
+        queryUtils.where('Priority', '=', 1),
+        queryUtils.where('PlanEstimate', 'between', [0.5, 8]).and('Blocked', '=', false),
+        queryUtils.where('State', 'in', ['Open', 'In Progress']).or('Iteration', '=', null),
+        queryUtils.all([queryUtils.where('Owner', '=', '/user/1'), queryUtils.where('Rank', '>', -3)])
+      ].forEach(q => Query.parse(q.toQueryString()).toJSON().should.eql(q.toJSON()));
+    });
+
+    it('should report syntax errors with their position', () => {
+      const err = parseError('((State = Open) AND (Owner.Name ~ "bob"))');
+      err.should.be.an.instanceOf(QuerySyntaxError);
+      err.position.should.eql(32);
+      err.message.should.eql('Expected an operator but found \'~\' at position 32');
+      err.query.should.eql('((State = Open) AND (Owner.Name ~ "bob"))');
+    });
+
+    it('should report each kind of syntax error', () => {
+      parseError('').message.should.eql('Expected \'(\' but found end of query at position 0');
+      parseError('State = Open').message.should.eql('Expected \'(\' but found \'S\' at position 0');
+      parseError('(State = Open').message.should.eql('Expected \')\' but found end of query at position 13');
+      parseError('(State = Open))').message.should.eql('Unexpected \')\' at position 14');
+      parseError('((A = 1) XOR (B = 2))').message.should.eql('Expected AND or OR but found \'XOR\' at position 9');
+      parseError('((A = 1) AND (B = 2) AND (C = 3))').message.should.eql('Expected \')\' but found \'A\' at position 21');
+      parseError('(= Open)').message.should.eql('Expected an attribute but found \'=\' at position 1');
+      parseError('(State = )').message.should.eql('Expected a value but found \')\' at position 9');
+      parseError('(Name = "foo)').message.should.eql('Unterminated string at position 8');
+      parseError('(Date between 1 2)').message.should.eql('Expected and but found \'2\' at position 16');
+    });
+
+    it('should require a string', () => {
+      (() => Query.parse(null)).should.throw(TypeError);
+    });
+  });
+
+  describe('#not', () => {
+
+    it('should negate each operator', () => {
+      [
+        ['=', '!='], ['!=', '='], ['<', '>='], ['>=', '<'], ['>', '<='], ['<=', '>'],
+        ['contains', '!contains'], ['!contains', 'contains'], ['in', '!in'], ['!in', 'in']
+      ].forEach(([op, negated]) => {
+        queryUtils.where('PlanEstimate', op, 5).not().should.eql(new Query('PlanEstimate', negated, 5));
+      });
+      queryUtils.where('Name', 'CONTAINS', 'foo').not().op.should.eql('!contains');
+    });
+
+    it('should negate between', () => {
+      queryUtils.where('PlanEstimate', 'between', [1, 5]).not().toQueryString().should.eql('((PlanEstimate < 1) OR (PlanEstimate > 5))');
+    });
+
+    it('should negate nested queries', () => {
+      const q = queryUtils.where('State', '=', 'Open').and(queryUtils.where('Owner', '=', null).or('Blocked', '=', true));
+      q.not().toQueryString().should.eql('((State != Open) OR ((Owner != null) AND (Blocked != true)))');
+      Query.not(q).should.eql(q.not());
+      queryUtils.not(q).not().should.eql(q);
+    });
+
+    it('should not modify the query', () => {
+      const q = queryUtils.where('State', '=', 'Open');
+      q.not();
+      q.op.should.eql('=');
+    });
+
+    it('should reject unknown operators', () => {
+      (() => queryUtils.where('State', '~', 'Open').not()).should.throw(TypeError);
+    });
+  });
+
+  describe('#all and #any', () => {
+    const conditions = ['A', 'B', 'C', 'D', 'E'].map(name => queryUtils.where(name, '=', 1));
+
+    it('should build balanced trees', () => {
+      Query.all(conditions.slice(0, 4)).toQueryString().should.eql('(((A = 1) AND (B = 1)) AND ((C = 1) AND (D = 1)))');
+      Query.any(conditions).toQueryString().should.eql('((((A = 1) OR (B = 1)) OR (C = 1)) OR ((D = 1) OR (E = 1)))');
+      queryUtils.all(conditions.slice(0, 3)).toQueryString().should.eql('(((A = 1) AND (B = 1)) AND (C = 1))');
+    });
+
+    it('should keep the depth logarithmic', () => {
+      const depth = q => (q instanceof Query && (q.op === 'AND' || q.op === 'OR') ? 1 + Math.max(depth(q.left), depth(q.right)) : 0);
+      const many = _.range(64).map(i => queryUtils.where('ObjectID', '=', i));
+      depth(Query.any(many)).should.eql(6);
+    });
+
+    it('should return a single query as is', () => {
+      queryUtils.any([conditions[0]]).should.be.exactly(conditions[0]);
+    });
+
+    it('should compose with and, or and not', () => {
+      const q = Query.all([queryUtils.where('State', '=', 'Open'), Query.any([conditions[0], conditions[1]])]).or('Blocked', '=', true);
+      q.toQueryString().should.eql('(((State = Open) AND ((A = 1) OR (B = 1))) OR (Blocked = true))');
+      Query.any([conditions[0], conditions[1]]).not().toQueryString().should.eql('((A != 1) AND (B != 1))');
+    });
+
+    it('should reject an empty array', () => {
+      (() => Query.all([])).should.throw(TypeError);
+      (() => Query.any()).should.throw(TypeError);
+    });
+  });
+
+  describe('queries from another copy of the module', () => {
+    // Same shape as a Query, but not an instance of this module's class
+    const foreign = (left, op, right) => ({
+      left, op, right,
+      toQueryString: () => new Query(left, op, right).toQueryString()
+    });
+
+    it('should combine with and and or', () => {
+      const q = queryUtils.where('State', '=', 'Open').and(foreign('Owner', '=', null));
+      q.toQueryString().should.eql('((State = Open) AND (Owner = null))');
+      queryUtils.where('State', '=', 'Open').or(foreign('Blocked', '=', true)).toQueryString().should.eql('((State = Open) OR (Blocked = true))');
+    });
+
+    it('should combine with all, any and not', () => {
+      Query.all([foreign('A', '=', 1), foreign('B', '=', 2)]).toQueryString().should.eql('((A = 1) AND (B = 2))');
+      Query.not(foreign('A', 'in', [1, 2])).toQueryString().should.eql('(A !in 1,2)');
+      queryUtils.where('A', '=', 1).and(foreign('B', '=', 2)).not().toQueryString().should.eql('((A != 1) OR (B != 2))');
+    });
+  });
+
+  describe('#toJSON and #fromJSON', () => {
+
+    it('should describe a condition', () => {
+      queryUtils.where('State', '=', 'Open').toJSON().should.eql({attribute: 'State', operator: '=', value: 'Open'});
+    });
+
+    it('should describe nested queries with children', () => {
+      const q = queryUtils.where('State', '=', 'Open').and(queryUtils.where('Owner.Name', 'contains', 'bob').or('Blocked', '=', true));
+      q.toJSON().should.eql({
+        operator: 'AND',
+        children: [
+          {attribute: 'State', operator: '=', value: 'Open'},
+          {
+            operator: 'OR',
+            children: [
+              {attribute: 'Owner.Name', operator: 'contains', value: 'bob'},
+              {attribute: 'Blocked', operator: '=', value: true}
+            ]
+          }
+        ]
+      });
+    });
+
+    it('should serialize values', () => {
+      queryUtils.where('Owner', '=', 'https://rally1.rallydev.com/slm/webservice/v2.0/user/1234').toJSON().value.should.eql('/user/1234');
+      queryUtils.where('Owner', 'in', [{_ref: '/user/1'}, 'https://rally1.rallydev.com/slm/webservice/v2.0/user/2']).toJSON().value.should.eql(['/user/1', '/user/2']);
+      (queryUtils.where('Iteration', '=', null).toJSON().value === null).should.eql(true);
+      queryUtils.where('PlanEstimate', 'between', [1, 5]).toJSON().value.should.eql([1, 5]);
+      queryUtils.where('LastUpdateDate', '>', new Date(Date.UTC(2024, 0, 15))).toJSON().value.should.eql('2024-01-15T00:00:00.000Z');
+      queryUtils.where('LastUpdateDate', '>', queryUtils.today(-7)).toJSON().value.should.eql({keyword: 'today-7'});
+    });
+
+    it('should be used by JSON.stringify', () => {
+      JSON.parse(JSON.stringify({filter: queryUtils.where('State', '=', 'Open')})).should.eql({
+        filter: {attribute: 'State', operator: '=', value: 'Open'}
+      });
+    });
+
+    it('should round trip', () => {
+      [
+        queryUtils.where('State', 'in', ['Open', 'In Progress']).and('Owner', '=', null),
+        queryUtils.where('LastUpdateDate', '>', queryUtils.today(-7)).and(queryUtils.currentIteration()),
+        Query.any([queryUtils.where('Name', 'contains', 'say "hi"'), queryUtils.where('PlanEstimate', 'between', [1, 5])]).not()
+      ].forEach((q) => {
+        const json = JSON.stringify(q);
+        const restored = Query.fromJSON(json);
+        restored.toQueryString().should.eql(q.toQueryString());
+        JSON.stringify(restored).should.eql(json);
+        queryUtils.fromJSON(JSON.parse(json)).toQueryString().should.eql(q.toQueryString());
+      });
+    });
+
+    it('should restore keywords', () => {
+      Query.fromJSON({attribute: 'CreationDate', operator: '>=', value: {keyword: 'today'}}).right.toQueryString().should.eql('today');
+    });
+
+    it('should combine more than two children into a balanced tree', () => {
+      Query.fromJSON({
+        operator: 'or',
+        children: ['A', 'B', 'C', 'D'].map(attribute => ({attribute, operator: '=', value: 1}))
+      }).toQueryString().should.eql('(((A = 1) OR (B = 1)) OR ((C = 1) OR (D = 1)))');
+      Query.fromJSON({operator: 'AND', children: [{attribute: 'A', operator: '=', value: 1}]}).toQueryString().should.eql('(A = 1)');
+    });
+
+    it('should reject invalid nodes', () => {
+      (() => Query.fromJSON({attribute: 'State', value: 'Open'})).should.throw(TypeError);
+      (() => Query.fromJSON({operator: '=', value: 'Open'})).should.throw(TypeError);
+      (() => Query.fromJSON({operator: 'AND', children: []})).should.throw(TypeError);
+      (() => Query.fromJSON(null)).should.throw(TypeError);
+    });
   });
 
   describe('#and', () => {
@@ -0,0 +1,100 @@
+import {
+  computeDelay,
+  isRetryable,
+  normalizeRetryOptions,
+  parseRetryAfter,
+  resolveRetryPolicy
+} from '../../lib/util/retry.js';
+
+describe('Retry', () => {
+
+  describe('#normalizeRetryOptions', () => {
+
+    it('should use the defaults', () => {
+      const policy = normalizeRetryOptions();
+      policy.maxAttempts.should.eql(3);
+      policy.methods.should.eql(['get']);
+    });
+
+    it('should disable retries', () => {
+      normalizeRetryOptions(false).maxAttempts.should.eql(1);
+    });
+
+    it('should replace rather than merge lists', () => {
+      const policy = normalizeRetryOptions({statusCodes: [503], methods: ['GET', 'PUT']});
+      policy.statusCodes.should.eql([503]);
+      policy.methods.should.eql(['get', 'put']);
+    });
+  });
+
+  describe('#resolveRetryPolicy', () => {
+
+    it('should opt a mutating call in', () => {
+      const policy = resolveRetryPolicy(normalizeRetryOptions(), 'post', true);
+      isRetryable(policy, 'post', {status: 503}).should.eql(true);
+    });
+
+    it('should apply per call overrides', () => {
+      const policy = resolveRetryPolicy(normalizeRetryOptions(), 'post', {maxAttempts: 5});
+      policy.maxAttempts.should.eql(5);
+      policy.methods.should.eql(['post']);
+    });
+
+    it('should disable a single call', () => {
+      resolveRetryPolicy(normalizeRetryOptions(), 'get', false).maxAttempts.should.eql(1);
+    });
+  });
+
+  describe('#isRetryable', () => {
+    const policy = normalizeRetryOptions();
+
+    it('should retry transient statuses and network errors', () => {
+      isRetryable(policy, 'get', {status: 429}).should.eql(true);
+      isRetryable(policy, 'get', {code: 'ECONNRESET'}).should.eql(true);
+    });
+
+    it('should not retry other failures', () => {
+      isRetryable(policy, 'get', {status: 400}).should.eql(false);
+      isRetryable(policy, 'get', {code: 'ENOTFOUND'}).should.eql(false);
+      isRetryable(policy, 'get', {}).should.eql(false);
+      isRetryable(policy, 'delete', {status: 503}).should.eql(false);
+    });
+  });
+
+  describe('#parseRetryAfter', () => {
+
+    it('should parse seconds', () => {
+      parseRetryAfter('120').should.eql(120000);
+    });
+
+    it('should parse http dates', () => {
+      const now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+      parseRetryAfter('Wed, 21 Oct 2015 07:28:30 GMT', now).should.eql(30000);
+    });
+
+    it('should ignore invalid values', () => {
+      (parseRetryAfter(undefined) === null).should.eql(true);
+      (parseRetryAfter('soon') === null).should.eql(true);
+    });
+  });
+
+  describe('#computeDelay', () => {
+    const policy = normalizeRetryOptions({baseDelay: 100, maxDelay: 1000, jitter: false});
+
+    it('should back off exponentially up to the max delay', () => {
+      computeDelay(policy, 1).should.eql(100);
+      computeDelay(policy, 2).should.eql(200);
+      computeDelay(policy, 5).should.eql(1000);
+    });
+
+    it('should prefer Retry-After, capped at the max delay', () => {
+      computeDelay(policy, 1, 500).should.eql(500);
+      computeDelay(policy, 1, 5000).should.eql(1000);
+    });
+
+    it('should jitter between half and the full delay', () => {
+      const delay = computeDelay(normalizeRetryOptions({baseDelay: 100}), 1);
+      delay.should.be.within(50, 100);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import createProjection, { parseSelect } from '../../lib/util/select.js';
+
+describe('Select', () => {
+  const defect = {
+    _rallyAPIMajor: '2',
+    _rallyAPIMinor: '0',
+    _ref: 'https://rally1.rallydev.com/slm/webservice/v2.0/defect/1234',
+    _refObjectName: 'Broken',
+    _objectVersion: '3',
+    _CreatedAt: 'today at 9:00 am',
+    _type: 'Defect',
+    FormattedID: 'DE1',
+    PlanEstimate: null,
+    c_Team: 'Blue',
+    Owner: {
+      _rallyAPIMajor: '2',
+      _ref: 'https://rally1.rallydev.com/slm/webservice/v2.0/user/5678',
+      _refObjectName: 'Jane Doe',
+      _type: 'User'
+    }
+  };
+
+  describe('#parseSelect', () => {
+
+    it('should parse fields with and without aliases', () => {
+      parseSelect(['FormattedID', 'Owner._refObjectName as owner', ' c_Team  AS team ']).should.eql([
+        {path: 'FormattedID', alias: 'FormattedID'},
+        {path: 'Owner._refObjectName', alias: 'owner'},
+        {path: 'c_Team', alias: 'team'}
+      ]);
+    });
+
+    it('should parse a single field', () => {
+      parseSelect('Owner._refObjectName as owner').should.eql([{path: 'Owner._refObjectName', alias: 'owner'}]);
+    });
+
+    it('should parse an object of paths', () => {
+      parseSelect({owner: 'Owner._refObjectName', id: 'FormattedID'}).should.eql([
+        {path: 'Owner._refObjectName', alias: 'owner'},
+        {path: 'FormattedID', alias: 'id'}
+      ]);
+    });
+  });
+
+  describe('#createProjection', () => {
+
+    it('should return null without select or map', () => {
+      (createProjection({}) === null).should.eql(true);
+    });
+
+    it('should select, flatten and rename fields', () => {
+      const project = createProjection({select: ['FormattedID', 'Owner._refObjectName as owner', 'c_Team as team', 'Missing']});
+      project(defect).should.eql({FormattedID: 'DE1', owner: 'Jane Doe', team: 'Blue', Missing: undefined});
+    });
+
+    it('should drop WSAPI metadata', () => {
+      createProjection({select: ['FormattedID', 'Owner']})(defect).should.eql({
+        FormattedID: 'DE1',
+        Owner: {
+          _ref: 'https://rally1.rallydev.com/slm/webservice/v2.0/user/5678',
+          _refObjectName: 'Jane Doe',
+          _type: 'User'
+        }
+      });
+      const mapped = createProjection({map: {}})(defect);
+      mapped.should.not.have.properties(['_rallyAPIMajor', '_rallyAPIMinor', '_objectVersion', '_CreatedAt']);
+      mapped.Owner.should.not.have.property('_rallyAPIMajor');
+      mapped._ref.should.eql(defect._ref);
+    });
+
+    it('should apply converters to the returned fields', () => {
+      const project = createProjection({
+        select: ['FormattedID as id', 'PlanEstimate', 'Owner._refObjectName as owner'],
+        map: {
+          PlanEstimate: value => value || 0,
+          owner: (value, object) => `${value} <${object.Owner._ref.split('/').pop()}>`
+        }
+      });
+      project(defect).should.eql({id: 'DE1', PlanEstimate: 0, owner: 'Jane Doe <5678>'});
+    });
+
+    it('should not modify the object', () => {
+      createProjection({map: {PlanEstimate: value => value || 0}})(defect).PlanEstimate.should.eql(0);
+      (defect.PlanEstimate === null).should.eql(true);
+      defect._rallyAPIMajor.should.eql('2');
+    });
+
+    it('should leave non objects alone', () => {
+      const project = createProjection({select: ['Name']});
+      (project(null) === null).should.eql(true);
+      project('/defect/1').should.eql('/defect/1');
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import rally from '../../lib/index.js';
+
+const typeUtils = rally.util.type;
+
+describe('Type', () => {
+
+  describe('#getType', () => {
+
+    it('should use _type', () => {
+      typeUtils.getType({_type: 'HierarchicalRequirement', _ref: '/hierarchicalrequirement/1234'}).should.eql('hierarchicalrequirement');
+      typeUtils.getType({_type: 'PortfolioItem/Feature'}).should.eql('portfolioitem/feature');
+    });
+
+    it('should fall back to the type of the ref', () => {
+      typeUtils.getType({_ref: 'https://rally1.rallydev.com/slm/webservice/v2.0/defect/1234'}).should.eql('defect');
+      typeUtils.getType({_ref: '/portfolioitem/feature/1234'}).should.eql('portfolioitem/feature');
+    });
+
+    it('should handle objects without a type', () => {
+      (typeUtils.getType({Name: 'foo'}) === null).should.eql(true);
+      (typeUtils.getType(null) === null).should.eql(true);
+    });
+  });
+
+  describe('#tagTypes', () => {
+
+    it('should tag objects missing a _type', () => {
+      const objects = [{_ref: '/defect/1'}, {_ref: '/task/2', _type: 'Task'}, {Name: 'foo'}];
+      typeUtils.tagTypes(objects).should.be.exactly(objects);
+      objects.should.eql([{_ref: '/defect/1', _type: 'defect'}, {_ref: '/task/2', _type: 'Task'}, {Name: 'foo'}]);
+    });
+  });
+
+  describe('#splitByType', () => {
+
+    it('should group objects by type', () => {
+      const story = {_type: 'HierarchicalRequirement', _ref: '/hierarchicalrequirement/1'};
+      const defect1 = {_type: 'Defect', _ref: '/defect/2'};
+      const defect2 = {_ref: '/defect/3'};
+      const testCase = {_type: 'TestCase', _ref: '/testcase/4'};
+      typeUtils.splitByType([story, defect1, testCase, defect2]).should.eql({
+        hierarchicalrequirement: [story],
+        defect: [defect1, defect2],
+        testcase: [testCase]
+      });
+    });
+
+    it('should handle no objects', () => {
+      typeUtils.splitByType([]).should.eql({});
+    });
+
+    it('should work when detached from the module', () => {
+      const {splitByType} = typeUtils;
+      splitByType([{_ref: '/defect/3'}]).should.eql({defect: [{_ref: '/defect/3'}]});
+    });
+  });
+});